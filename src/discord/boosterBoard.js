@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Booster status board in the boosters channel, edited in place whenever booster state changes
+ */
+
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const BoosterTracker = require('../services/boosterTracker');
+const DiscordOutput = require('./discordOutput');
+
+module.exports = {
+    initialize(sendToDiscord) {
+        this.sendToDiscord = sendToDiscord;
+        BoosterTracker.onChange(() => this.scheduleUpdate());
+        this.scheduleUpdate();
+        logger.info('Booster board initialized');
+    },
+
+    /**
+     * Schedule a board edit, batched with changes that happen together (e.g. several expiries in one cleanup)
+     */
+    scheduleUpdate() {
+        DiscordOutput.scheduleEdit('boosterBoard', this.sendToDiscord, config.discord.channels.boosters, () => ({
+            embeds: [this.buildEmbed()]
+        }));
+    },
+
+    /**
+     * Build the board embed
+     * @returns {Object} Discord embed
+     */
+    buildEmbed() {
+        const { active, inactive } = BoosterTracker.getBoosterStates();
+
+        const lines = [
+            ...active.flatMap(booster => [
+                `🟢 **${booster.displayType}**${booster.multiplier ? ` ${booster.multiplier}x` : ''} • ${booster.player} • ends <t:${Math.floor(booster.expiryTime / 1000)}:R>`,
+                ...booster.queued.map(queued =>
+                    `↳ queued: ${queued.multiplier ? `${queued.multiplier}x • ` : ''}${queued.player} • starts <t:${Math.floor(queued.startTime / 1000)}:R>`
+                )
+            ]),
+            ...inactive.map(booster =>
+                `⚫ **${booster.displayType}**${booster.freeSince ? ` • free since <t:${Math.floor(booster.freeSince / 1000)}:R>` : ' • free'}`
+            )
+        ];
+
+        return {
+            color: active.length > 0 ? 0x00ff00 : 0x808080,
+            title: '🚀 Booster Status',
+            description: lines.join('\n'),
+            footer: { text: 'Updates automatically' },
+            timestamp: new Date().toISOString()
+        };
+    }
+};
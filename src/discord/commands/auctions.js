@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Discord command for looking up past auction results
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const AuctionTracker = require('../../services/auctionTracker');
+const logger = require('../../utils/logger');
+
+// Most results shown in one reply
+const MAX_RESULTS = 15;
+
+const command = {
+    data: new SlashCommandBuilder()
+        .setName('auctions')
+        .setDescription('Show recent auction results')
+        .addStringOption(option =>
+            option.setName('item')
+                .setDescription('Only show items whose name contains this text')
+                .setRequired(false)),
+
+    async execute(interaction) {
+        try {
+            const filter = interaction.options.getString('item');
+            const results = AuctionTracker.getResults(filter).slice(0, MAX_RESULTS);
+
+            const embed = {
+                color: 0xffff00,
+                title: '🔨 Auction Results',
+                description: results.length > 0
+                    ? results.map(result => {
+                        const outcome = result.winner
+                            ? `**${result.winner}** • ${result.price.toLocaleString('en-US')}g`
+                            : 'No winner seen';
+                        return `${result.item} → ${outcome} • <t:${Math.floor(result.endedAt / 1000)}:R>`;
+                    }).join('\n')
+                    : filter ? `No auction results for "${filter}".` : 'No auctions have been recorded yet.'
+            };
+
+            await interaction.reply({ embeds: [embed] });
+            logger.info('Auctions command executed successfully');
+        } catch (error) {
+            logger.error('Error executing auctions command:', error);
+            await interaction.reply({
+                content: 'There was an error fetching auction results.',
+                ephemeral: true
+            });
+        }
+    }
+};
+
+module.exports = command;
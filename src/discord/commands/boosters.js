@@ -1,21 +1,133 @@
 /**
- * @fileoverview Discord command for displaying booster states
+ * @fileoverview Discord command for displaying booster states and managing booster subscriptions
  */
 
 const { SlashCommandBuilder } = require('discord.js');
 const config = require('../../utils/config');
 const BoosterTracker = require('../../services/boosterTracker');
+const BoosterSubscriptions = require('../../services/boosterSubscriptions');
 const logger = require('../../utils/logger');
 
+const typeChoices = [BoosterSubscriptions.ALL_TYPES, ...BoosterTracker.BOOSTER_TYPES].map(type => ({
+    name: BoosterSubscriptions.formatType(type),
+    value: type
+}));
+
+/**
+ * Add the booster type option to a subcommand
+ * @param {Object} subcommand - Subcommand builder
+ * @returns {Object} Subcommand builder
+ */
+function addTypeOption(subcommand) {
+    return subcommand.addStringOption(option =>
+        option.setName('type')
+            .setDescription('Booster type')
+            .setRequired(true)
+            .addChoices(...typeChoices));
+}
+
+/**
+ * Subscribe the member to a booster type
+ * @param {Object} interaction - Discord interaction
+ */
+async function executeSubscribe(interaction) {
+    const type = interaction.options.getString('type');
+    const quietHoursOption = interaction.options.getString('quiet-hours');
+    const quietHours = quietHoursOption ? BoosterSubscriptions.parseQuietHours(quietHoursOption) : null;
+
+    if (quietHoursOption && !quietHours) {
+        return interaction.reply({
+            content: '❌ Quiet hours must look like `22-7` (UTC hours).',
+            ephemeral: true
+        });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    await BoosterSubscriptions.subscribe(interaction.member, type, {
+        minMultiplier: interaction.options.getNumber('min-multiplier'),
+        quietHours,
+        method: interaction.options.getString('method') || 'role'
+    });
+
+    await interaction.editReply(
+        `✅ Subscribed to ${BoosterSubscriptions.formatType(type)}.\n\n` +
+        `**Your booster subscriptions**\n${BoosterSubscriptions.describeSubscriptions(interaction.user.id)}`
+    );
+}
+
+/**
+ * Unsubscribe the member from a booster type
+ * @param {Object} interaction - Discord interaction
+ */
+async function executeUnsubscribe(interaction) {
+    const type = interaction.options.getString('type');
+
+    await interaction.deferReply({ ephemeral: true });
+    const removed = await BoosterSubscriptions.unsubscribe(interaction.member, type);
+
+    await interaction.editReply(
+        `${removed ? '✅ Unsubscribed from' : 'ℹ️ You were not subscribed to'} ${BoosterSubscriptions.formatType(type)}.\n\n` +
+        `**Your booster subscriptions**\n${BoosterSubscriptions.describeSubscriptions(interaction.user.id)}`
+    );
+}
+
 // Create the command structure
 const command = {
     // Command registration data
     data: new SlashCommandBuilder()
         .setName('boosters')
-        .setDescription('Display current booster states'),
+        .setDescription('Booster states and notifications')
+        .addSubcommand(subcommand =>
+            subcommand.setName('status')
+                .setDescription('Display current booster states'))
+        .addSubcommand(subcommand => addTypeOption(
+            subcommand.setName('subscribe')
+                .setDescription('Get notified when a booster is activated'))
+            .addNumberOption(option =>
+                option.setName('min-multiplier')
+                    .setDescription('Only notify for this multiplier or higher')
+                    .setRequired(false)
+                    .addChoices(...BoosterTracker.VALID_MULTIPLIERS.map(value => ({ name: `${value.toFixed(1)}x`, value }))))
+            .addStringOption(option =>
+                option.setName('quiet-hours')
+                    .setDescription('UTC hours without notifications, e.g. 22-7')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('method')
+                    .setDescription('How to notify you (default: role ping)')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'Role ping', value: 'role' },
+                        { name: 'Direct message', value: 'dm' }
+                    )))
+        .addSubcommand(subcommand => addTypeOption(
+            subcommand.setName('unsubscribe')
+                .setDescription('Stop booster notifications')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Show your booster subscriptions')),
 
     // Command execution function
     async execute(interaction, commandBridge) {
+        try {
+            switch (interaction.options.getSubcommand()) {
+                case 'subscribe':
+                    return await executeSubscribe(interaction);
+                case 'unsubscribe':
+                    return await executeUnsubscribe(interaction);
+                case 'list':
+                    return await interaction.reply({
+                        content: `**Your booster subscriptions**\n${BoosterSubscriptions.describeSubscriptions(interaction.user.id)}`,
+                        ephemeral: true
+                    });
+                // 'status' shows the booster states below
+            }
+        } catch (error) {
+            logger.error('Error managing booster subscriptions:', error);
+            const reply = { content: 'There was an error updating your booster subscriptions.', ephemeral: true };
+            return interaction.deferred ? interaction.editReply(reply) : interaction.reply(reply);
+        }
+
         // Check if command is used in the correct channel
         if (interaction.channelId !== config.discord.channels.botCommands) {
             return interaction.reply({
@@ -41,7 +153,10 @@ const command = {
                     const lines = [
                         `${booster.displayType}${booster.multiplier ? ` (${booster.multiplier}x)` : ''}`,
                         `• Activated by: ${booster.player}`,
-                        `• Expiring: ${booster.timeRemaining}`
+                        `• Expiring: ${booster.timeRemaining}`,
+                        ...booster.queued.map((queued, index) =>
+                            `• Queued #${index + 1}: ${queued.player}${queued.multiplier ? ` (${queued.multiplier}x)` : ''}, starts <t:${Math.floor(queued.startTime / 1000)}:R>`
+                        )
                     ];
                     return lines.join('\n');
                 }).join('\n\n');
@@ -57,7 +172,10 @@ const command = {
             if (inactive.length > 0) {
                 embed.fields.push({
                     name: '⚫ Inactive Boosters',
-                    value: inactive.join('\n'),
+                    value: inactive.map(booster => booster.freeSince
+                        ? `${booster.displayType} • free since <t:${Math.floor(booster.freeSince / 1000)}:R>`
+                        : booster.displayType
+                    ).join('\n'),
                     inline: false
                 });
             }
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Discord command for displaying booster uptime statistics
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const BoosterTracker = require('../../services/boosterTracker');
+const BoosterHistory = require('../../services/boosterHistory');
+const logger = require('../../utils/logger');
+
+/**
+ * Format a share as a percentage
+ * @param {number} share - Share between 0 and 1
+ * @returns {string} Percentage (e.g. "42%")
+ */
+function formatShare(share) {
+    return `${Math.round(share * 100)}%`;
+}
+
+const command = {
+    data: new SlashCommandBuilder()
+        .setName('boosterstats')
+        .setDescription('Show booster uptime, common multipliers and top activators'),
+
+    async execute(interaction) {
+        try {
+            const stats = BoosterHistory.getTypeStats(BoosterTracker.BOOSTER_TYPES);
+            const topPlayers = BoosterHistory.getTopPlayers(5);
+
+            const embed = {
+                color: 0x00ff00,
+                title: '📈 Booster Statistics',
+                fields: stats.map(stat => ({
+                    name: BoosterTracker.formatBoosterType(stat.type),
+                    value: [
+                        `• Active 24h: ${formatShare(stat.dayShare)}`,
+                        `• Active 7d: ${formatShare(stat.weekShare)}`,
+                        `• Common multiplier: ${stat.commonMultiplier ? `${stat.commonMultiplier}x` : 'n/a'}`,
+                        `• Recorded: ${stat.count}`
+                    ].join('\n'),
+                    inline: true
+                }))
+            };
+
+            embed.fields.push({
+                name: '🏅 Top Activators',
+                value: topPlayers.length > 0
+                    ? topPlayers.map((entry, index) => `**${index + 1}.** ${entry.player} • ${entry.count}`).join('\n')
+                    : 'No boosters recorded yet.',
+                inline: false
+            });
+
+            await interaction.reply({ embeds: [embed] });
+            logger.info('Boosterstats command executed successfully');
+        } catch (error) {
+            logger.error('Error executing boosterstats command:', error);
+            await interaction.reply({
+                content: 'There was an error fetching booster statistics.',
+                ephemeral: true
+            });
+        }
+    }
+};
+
+module.exports = command;
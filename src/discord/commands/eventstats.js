@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Discord command for displaying event history statistics
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const EventHistory = require('../../services/eventHistory');
+const EventCatalog = require('../../services/eventCatalog');
+const { formatDuration } = require('../../utils/timestamp');
+const logger = require('../../utils/logger');
+
+// Discord allows at most 25 fields per embed
+const MAX_FIELDS = 25;
+
+/**
+ * Format the stats of one event as an embed field
+ * @param {Object} stat - Event stats from EventHistory.getStats
+ * @returns {Object} Embed field
+ */
+function formatStatField(stat) {
+    const expected = EventCatalog.getExpectedDuration(stat.name);
+    const lines = [
+        `• Seen: ${stat.count}×`,
+        `• Average duration: ${stat.averageDuration !== null ? formatDuration(stat.averageDuration) : 'unknown'}` +
+            (expected ? ` (expected ${formatDuration(expected)})` : ''),
+        `• Average gap: ${stat.averageGap !== null ? formatDuration(stat.averageGap) : 'unknown'}`,
+        `• Last: <t:${Math.floor(stat.lastOccurrence / 1000)}:R>`
+    ];
+
+    return {
+        name: `${EventCatalog.getEmoji(stat.name, stat.type)} ${stat.name}`,
+        value: lines.join('\n'),
+        inline: true
+    };
+}
+
+const command = {
+    data: new SlashCommandBuilder()
+        .setName('eventstats')
+        .setDescription('Show how often events happen and when they last happened')
+        .addStringOption(option =>
+            option.setName('event')
+                .setDescription('Only show this event (e.g. Blood Bath)')
+                .setRequired(false)),
+
+    async execute(interaction) {
+        try {
+            const filter = interaction.options.getString('event');
+            let stats = EventHistory.getStats();
+
+            if (filter) {
+                const name = filter.trim().toUpperCase();
+                stats = stats.filter(stat => stat.name.includes(name));
+            }
+
+            const embed = {
+                color: 0x00ff00,
+                title: '📊 Event Statistics',
+                fields: stats.slice(0, MAX_FIELDS).map(formatStatField)
+            };
+
+            if (stats.length === 0) {
+                embed.description = filter
+                    ? `No recorded events match "${filter}".`
+                    : 'No events have been recorded yet.';
+            }
+
+            await interaction.reply({ embeds: [embed] });
+            logger.info('Eventstats command executed successfully');
+        } catch (error) {
+            logger.error('Error executing eventstats command:', error);
+            await interaction.reply({
+                content: 'There was an error fetching event statistics.',
+                ephemeral: true
+            });
+        }
+    }
+};
+
+module.exports = command;
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Discord command for guild kill leaderboards and head-to-head records
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const GuildKills = require('../../services/guildKills');
+const logger = require('../../utils/logger');
+
+// Players listed per leaderboard
+const TOP_PLAYERS = 10;
+
+const PERIOD_NAMES = {
+    day: 'Today',
+    week: 'This week',
+    all: 'All time'
+};
+
+/**
+ * Add the period option to a subcommand
+ * @param {Object} subcommand - Subcommand builder
+ * @returns {Object} Subcommand builder
+ */
+function addPeriodOption(subcommand) {
+    return subcommand.addStringOption(option =>
+        option.setName('period')
+            .setDescription('Time period (default: this week)')
+            .setRequired(false)
+            .addChoices(...Object.entries(PERIOD_NAMES).map(([value, name]) => ({ name, value }))));
+}
+
+/**
+ * Format a leaderboard
+ * @param {Object[]} entries - { name, count } entries
+ * @param {string} unit - Counted thing, singular
+ * @returns {string} Leaderboard lines
+ */
+function formatLeaderboard(entries, unit) {
+    if (entries.length === 0) return 'No guild kills recorded for this period.';
+    return entries.slice(0, TOP_PLAYERS)
+        .map((entry, index) => `**${index + 1}.** ${entry.name} • ${entry.count} ${unit}${entry.count === 1 ? '' : 's'}`)
+        .join('\n');
+}
+
+const command = {
+    data: new SlashCommandBuilder()
+        .setName('gkills')
+        .setDescription('Guild kill leaderboards')
+        .addSubcommand(subcommand => addPeriodOption(
+            subcommand.setName('top')
+                .setDescription('Show the guild members with the most kills')))
+        .addSubcommand(subcommand => addPeriodOption(
+            subcommand.setName('victims')
+                .setDescription('Show the most killed players')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('h2h')
+                .setDescription('Show the head-to-head record between two players')
+                .addStringOption(option =>
+                    option.setName('player1')
+                        .setDescription('First Minecraft username')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('player2')
+                        .setDescription('Second Minecraft username')
+                        .setRequired(true))),
+
+    async execute(interaction) {
+        try {
+            const subcommand = interaction.options.getSubcommand();
+            let embed;
+
+            if (subcommand === 'h2h') {
+                const player1 = interaction.options.getString('player1');
+                const player2 = interaction.options.getString('player2');
+                const { aKills, bKills, lastKill } = GuildKills.getHeadToHead(player1, player2);
+
+                embed = {
+                    color: 0xFF0000,
+                    title: `⚔️ ${player1} vs ${player2}`,
+                    description: aKills + bKills > 0
+                        ? `**${player1}** ${aKills} – ${bKills} **${player2}**\n` +
+                            `Last kill: ${lastKill.killer} killed ${lastKill.victim} <t:${Math.floor(lastKill.time / 1000)}:R>`
+                        : 'These players have no guild kills against each other.'
+                };
+            } else {
+                const period = interaction.options.getString('period') || 'week';
+                const victims = subcommand === 'victims';
+
+                embed = {
+                    color: 0xFF0000,
+                    title: `${victims ? '💀 Most Killed' : '🗡️ Top Guild Killers'} • ${PERIOD_NAMES[period]}`,
+                    description: victims
+                        ? formatLeaderboard(GuildKills.getTopVictims(period), 'death')
+                        : formatLeaderboard(GuildKills.getTopKillers(period), 'kill')
+                };
+            }
+
+            await interaction.reply({ embeds: [embed] });
+            logger.info('Gkills command executed successfully');
+        } catch (error) {
+            logger.error('Error executing gkills command:', error);
+            await interaction.reply({
+                content: 'There was an error fetching guild kills.',
+                ephemeral: true
+            });
+        }
+    }
+};
+
+module.exports = command;
@@ -7,6 +7,18 @@ const logger = require('../../utils/logger');
 const config = require('../../utils/config');
 const { getRelativeTime } = require('../../utils/timestamp');
 const boosters = require('./boosters');
+const boosterstats = require('./boosterstats');
+const schedule = require('./schedule');
+const eventstats = require('./eventstats');
+const subscribe = require('./subscribe');
+const unsubscribe = require('./unsubscribe');
+const auctions = require('./auctions');
+const streaks = require('./streaks');
+const prestigehistory = require('./prestigehistory');
+const gkills = require('./gkills');
+const lobbystats = require('./lobbystats');
+const npcfilter = require('./npcfilter');
+const watch = require('./watch');
 
 // Create command builders for inline commands
 const eventsCommand = new SlashCommandBuilder()
@@ -22,6 +34,18 @@ const verifyCommand = new SlashCommandBuilder()
  */
 const commands = {
     boosters,
+    boosterstats,
+    schedule,
+    eventstats,
+    subscribe,
+    unsubscribe,
+    auctions,
+    streaks,
+    prestigehistory,
+    gkills,
+    lobbystats,
+    npcfilter,
+    watch,
     events: {
         data: eventsCommand,
         async execute(interaction, commandBridge) {
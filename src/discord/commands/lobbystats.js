@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Discord command for lobby population stats and CSV exports
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const LobbyStats = require('../../services/lobbyStats');
+const logger = require('../../utils/logger');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Format an hour of the day
+ * @param {number} hour - Hour 0-23
+ * @returns {string} Hour such as "18:00"
+ */
+function formatHour(hour) {
+    return `${String(hour).padStart(2, '0')}:00`;
+}
+
+/**
+ * Build the overview embed
+ * @returns {Object} Discord embed
+ */
+function buildOverviewEmbed() {
+    const peakHours = LobbyStats.getPeakHours();
+    const weekly = LobbyStats.getWeeklyAverages();
+    const lastDay = LobbyStats.getLastDay();
+    const weeklyMax = Math.max(0, ...weekly.flat().filter(value => value !== null));
+
+    // Monday first, every row scaled the same so days can be compared
+    const weekLines = [1, 2, 3, 4, 5, 6, 0].map(day =>
+        `${WEEKDAYS[day]} ${LobbyStats.sparkline(weekly[day], weeklyMax)}`
+    );
+    const lastDayCounts = lastDay.filter(value => value !== null);
+
+    return {
+        color: 0x5865f2,
+        title: '📈 Lobby Population',
+        description: `Average players per lobby from ${LobbyStats.samples.length} samples. Times are UTC.`,
+        fields: [
+            {
+                name: 'Last 24 hours',
+                value: lastDayCounts.length > 0
+                    ? `\`${LobbyStats.sparkline(lastDay)}\`\nPeak ${Math.max(...lastDayCounts).toFixed(1)} • Low ${Math.min(...lastDayCounts).toFixed(1)}`
+                    : 'No samples in the last 24 hours',
+                inline: false
+            },
+            {
+                name: 'Peak hours',
+                value: peakHours.length > 0
+                    ? peakHours.map(({ hour, average }) => `• ${formatHour(hour)} • ${average.toFixed(1)} players`).join('\n')
+                    : 'No samples yet',
+                inline: false
+            },
+            {
+                name: 'By weekday and hour',
+                value: `\`\`\`\n    0     6     12    18\n${weekLines.join('\n')}\n\`\`\``,
+                inline: false
+            }
+        ]
+    };
+}
+
+const command = {
+    data: new SlashCommandBuilder()
+        .setName('lobbystats')
+        .setDescription('Lobby population stats')
+        .addSubcommand(subcommand =>
+            subcommand.setName('overview')
+                .setDescription('Show peak hours and population by weekday and hour'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('export')
+                .setDescription('Export population samples as CSV')
+                .addIntegerOption(option =>
+                    option.setName('days')
+                        .setDescription('Only the last N days (default: all stored samples)')
+                        .setRequired(false)
+                        .setMinValue(1))),
+
+    async execute(interaction) {
+        try {
+            if (interaction.options.getSubcommand() === 'export') {
+                const days = interaction.options.getInteger('days');
+                const csv = LobbyStats.toCsv(days ? Date.now() - days * 24 * 3600000 : 0);
+
+                await interaction.reply({
+                    content: days ? `Lobby population samples from the last ${days} day${days === 1 ? '' : 's'}` : 'All stored lobby population samples',
+                    files: [{ attachment: Buffer.from(csv), name: 'lobby-stats.csv' }]
+                });
+            } else {
+                await interaction.reply({ embeds: [buildOverviewEmbed()] });
+            }
+            logger.info('Lobbystats command executed successfully');
+        } catch (error) {
+            logger.error('Error executing lobbystats command:', error);
+            await interaction.reply({
+                content: 'There was an error fetching lobby stats.',
+                ephemeral: true
+            });
+        }
+    }
+};
+
+module.exports = command;
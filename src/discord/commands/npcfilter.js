@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Admin command for testing names against the NPC filter and adding exceptions
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const NpcFilter = require('../../services/npcFilter');
+const logger = require('../../utils/logger');
+
+/**
+ * Add the player option to a subcommand
+ * @param {Object} subcommand - Subcommand builder
+ * @returns {Object} Subcommand builder
+ */
+function addPlayerOption(subcommand) {
+    return subcommand.addStringOption(option =>
+        option.setName('player')
+            .setDescription('Minecraft username')
+            .setRequired(true));
+}
+
+const command = {
+    data: new SlashCommandBuilder()
+        .setName('npcfilter')
+        .setDescription('Test and adjust the NPC filter')
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .addSubcommand(subcommand => addPlayerOption(
+            subcommand.setName('test')
+                .setDescription('Check whether a name would be filtered as an NPC')))
+        .addSubcommand(subcommand => addPlayerOption(
+            subcommand.setName('allow')
+                .setDescription('Never filter this name')))
+        .addSubcommand(subcommand => addPlayerOption(
+            subcommand.setName('deny')
+                .setDescription('Always filter this name')))
+        .addSubcommand(subcommand => addPlayerOption(
+            subcommand.setName('remove')
+                .setDescription('Remove the exception for this name')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('List the exceptions added with this command')),
+
+    async execute(interaction) {
+        try {
+            const subcommand = interaction.options.getSubcommand();
+            const player = interaction.options.getString('player');
+            let content;
+
+            if (subcommand === 'test') {
+                const inTabList = Boolean(NpcFilter.bot && NpcFilter.bot.players[player]);
+                const { isNpc, reason, score } = NpcFilter.check(player);
+                content = `${isNpc ? '🤖' : '👤'} **${player}** ${isNpc ? 'is' : 'is not'} filtered as an NPC (${reason}; score ${score}/${NpcFilter.heuristics.threshold})` +
+                    (inTabList ? '' : '\nNot in the current tab list, so only name rules were checked.');
+            } else if (subcommand === 'allow' || subcommand === 'deny') {
+                NpcFilter.addException(player, subcommand);
+                content = subcommand === 'allow'
+                    ? `✅ **${player}** will never be filtered as an NPC.`
+                    : `✅ **${player}** will always be filtered as an NPC.`;
+            } else if (subcommand === 'remove') {
+                content = NpcFilter.removeException(player)
+                    ? `✅ Removed the exception for **${player}**.`
+                    : `**${player}** has no exception.`;
+            } else {
+                const { allow, deny } = NpcFilter.exceptions;
+                content = `**Allowed:** ${allow.length > 0 ? allow.join(', ') : 'none'}\n` +
+                    `**Denied:** ${deny.length > 0 ? deny.join(', ') : 'none'}`;
+            }
+
+            await interaction.reply({ content, ephemeral: true });
+            logger.info('Npcfilter command executed successfully');
+        } catch (error) {
+            logger.error('Error executing npcfilter command:', error);
+            await interaction.reply({
+                content: 'There was an error updating the NPC filter.',
+                ephemeral: true
+            });
+        }
+    }
+};
+
+module.exports = command;
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Discord command for showing a player's prestige timeline
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const PlayerDataStore = require('../../utils/playerDataStore');
+const { formatDuration } = require('../../utils/timestamp');
+const logger = require('../../utils/logger');
+
+// Most timeline entries shown in one reply
+const MAX_ENTRIES = 20;
+
+const command = {
+    data: new SlashCommandBuilder()
+        .setName('prestigehistory')
+        .setDescription('Show a player\'s prestige timeline')
+        .addStringOption(option =>
+            option.setName('player')
+                .setDescription('Minecraft username')
+                .setRequired(true)),
+
+    async execute(interaction) {
+        try {
+            const name = interaction.options.getString('player');
+            const player = PlayerDataStore.getPlayer(name);
+            const history = (player && player.prestigeHistory) || [];
+
+            const lines = history.map((entry, index) => {
+                const gap = index > 0 ? ` (${formatDuration(entry.time - history[index - 1].time)} after ${history[index - 1].prestige})` : '';
+                return `• **${entry.prestige}** <t:${Math.floor(entry.time / 1000)}:f>${gap}`;
+            });
+
+            const embed = {
+                color: 0xffd700,
+                title: `🏆 Prestige history • ${PlayerDataStore.formatPlayer(player ? player.name : name)}`,
+                description: lines.length > 0
+                    ? lines.slice(-MAX_ENTRIES).reverse().join('\n')
+                    : 'No prestiges recorded for this player.'
+            };
+
+            if (history.length > 1) {
+                const average = (history[history.length - 1].time - history[0].time) / (history.length - 1);
+                embed.footer = { text: `Average time between prestiges: ${formatDuration(average)}` };
+            }
+
+            await interaction.reply({ embeds: [embed] });
+            logger.info('Prestigehistory command executed successfully');
+        } catch (error) {
+            logger.error('Error executing prestigehistory command:', error);
+            await interaction.reply({
+                content: 'There was an error fetching prestige history.',
+                ephemeral: true
+            });
+        }
+    }
+};
+
+module.exports = command;
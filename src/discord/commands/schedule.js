@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Discord command for displaying the upcoming event calendar
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const config = require('../../utils/config');
+const EventScheduler = require('../../services/eventScheduler');
+const EventCatalog = require('../../services/eventCatalog');
+const logger = require('../../utils/logger');
+
+// Most events shown in one reply
+const MAX_EVENTS = 15;
+
+const command = {
+    data: new SlashCommandBuilder()
+        .setName('schedule')
+        .setDescription('Display upcoming major and minor events'),
+
+    async execute(interaction) {
+        try {
+            const events = EventScheduler.getUpcomingEvents().slice(0, MAX_EVENTS);
+            const reminders = config.events.reminderLeadTimes
+                .map(lead => `${lead / 60000}m`)
+                .join(', ');
+
+            const embed = {
+                color: 0x00ff00,
+                title: '📅 Event Schedule',
+                description: events.length > 0
+                    ? events.map(event => {
+                        const emoji = EventCatalog.getEmoji(event.name, event.type);
+                        const time = Math.floor(event.startTime / 1000);
+                        return `${emoji} **${event.name}** (${event.type.toLowerCase()}) • <t:${time}:t> • <t:${time}:R>`;
+                    }).join('\n')
+                    : 'No upcoming events known yet. Use /events to check the server.',
+                footer: {
+                    text: reminders ? `Reminders are posted ${reminders} before each event` : 'Reminders are disabled'
+                }
+            };
+
+            await interaction.reply({ embeds: [embed] });
+            logger.info('Schedule command executed successfully');
+        } catch (error) {
+            logger.error('Error executing schedule command:', error);
+            await interaction.reply({
+                content: 'There was an error fetching the event schedule.',
+                ephemeral: true
+            });
+        }
+    }
+};
+
+module.exports = command;
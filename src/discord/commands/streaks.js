@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Discord command for showing a player's recent streaks
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const PlayerDataStore = require('../../utils/playerDataStore');
+const logger = require('../../utils/logger');
+
+const command = {
+    data: new SlashCommandBuilder()
+        .setName('streaks')
+        .setDescription('Show a player\'s recent streaks')
+        .addStringOption(option =>
+            option.setName('player')
+                .setDescription('Minecraft username')
+                .setRequired(true)),
+
+    async execute(interaction) {
+        try {
+            const name = interaction.options.getString('player');
+            const player = PlayerDataStore.getPlayer(name);
+            const streaks = player && player.recentStreaks ? [...player.recentStreaks].reverse() : [];
+
+            const embed = {
+                color: 0xff5555,
+                title: `⚔️ Recent streaks • ${PlayerDataStore.formatPlayer(player ? player.name : name)}`,
+                description: streaks.length > 0
+                    ? streaks.map(streak => {
+                        const parts = [];
+                        if (streak.megastreak) parts.push(`**${streak.megastreak}**`);
+                        if (streak.kills) parts.push(`${streak.kills} kills`);
+                        return `• ${parts.join(' • ')} • <t:${Math.floor(streak.startedAt / 1000)}:R>`;
+                    }).join('\n')
+                    : 'No streaks recorded for this player.'
+            };
+
+            await interaction.reply({ embeds: [embed] });
+            logger.info('Streaks command executed successfully');
+        } catch (error) {
+            logger.error('Error executing streaks command:', error);
+            await interaction.reply({
+                content: 'There was an error fetching streaks.',
+                ephemeral: true
+            });
+        }
+    }
+};
+
+module.exports = command;
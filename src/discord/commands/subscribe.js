@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Discord command for subscribing to event notifications
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const EventSubscriptions = require('../../services/eventSubscriptions');
+const logger = require('../../utils/logger');
+
+// Discord allows at most 25 choices
+const eventChoices = [EventSubscriptions.ALL_EVENTS, ...EventSubscriptions.getEventNames()].slice(0, 25).map(name => ({
+    name: EventSubscriptions.formatEventName(name),
+    value: name
+}));
+
+const command = {
+    data: new SlashCommandBuilder()
+        .setName('subscribe')
+        .setDescription('Manage your event notifications')
+        .addSubcommand(subcommand =>
+            subcommand.setName('event')
+                .setDescription('Get notified when an event is about to start')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Event to be notified about')
+                        .setRequired(true)
+                        .addChoices(...eventChoices))
+                .addStringOption(option =>
+                    option.setName('method')
+                        .setDescription('How to notify you (default: role ping)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Role ping', value: 'role' },
+                            { name: 'Direct message', value: 'dm' }
+                        )))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Show your event subscriptions')),
+
+    eventChoices,
+
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            if (interaction.options.getSubcommand() === 'event') {
+                const name = interaction.options.getString('name');
+                const method = interaction.options.getString('method') || 'role';
+                await EventSubscriptions.subscribe(interaction.member, name, method);
+
+                await interaction.editReply(
+                    `✅ Subscribed to ${EventSubscriptions.formatEventName(name)} (${method === 'dm' ? 'DM' : 'role ping'}).\n\n` +
+                    `**Your subscriptions**\n${EventSubscriptions.describeSubscriptions(interaction.user.id)}`
+                );
+            } else {
+                await interaction.editReply(
+                    `**Your subscriptions**\n${EventSubscriptions.describeSubscriptions(interaction.user.id)}`
+                );
+            }
+            logger.info('Subscribe command executed successfully');
+        } catch (error) {
+            logger.error('Error executing subscribe command:', error);
+            await interaction.editReply('There was an error updating your subscriptions.');
+        }
+    }
+};
+
+module.exports = command;
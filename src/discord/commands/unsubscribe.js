@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Discord command for unsubscribing from event notifications
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const EventSubscriptions = require('../../services/eventSubscriptions');
+const { eventChoices } = require('./subscribe');
+const logger = require('../../utils/logger');
+
+const command = {
+    data: new SlashCommandBuilder()
+        .setName('unsubscribe')
+        .setDescription('Stop event notifications')
+        .addSubcommand(subcommand =>
+            subcommand.setName('event')
+                .setDescription('Stop notifications for an event')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Event to stop being notified about')
+                        .setRequired(true)
+                        .addChoices(...eventChoices))),
+
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const name = interaction.options.getString('name');
+            const removed = await EventSubscriptions.unsubscribe(interaction.member, name);
+            const status = removed
+                ? `✅ Unsubscribed from ${EventSubscriptions.formatEventName(name)}.`
+                : `You were not subscribed to ${EventSubscriptions.formatEventName(name)}.`;
+
+            await interaction.editReply(
+                `${status}\n\n**Your subscriptions**\n${EventSubscriptions.describeSubscriptions(interaction.user.id)}`
+            );
+            logger.info('Unsubscribe command executed successfully');
+        } catch (error) {
+            logger.error('Error executing unsubscribe command:', error);
+            await interaction.editReply('There was an error updating your subscriptions.');
+        }
+    }
+};
+
+module.exports = command;
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Discord command for managing a personal player watchlist
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const Watchlist = require('../../services/watchlist');
+const PlayerDataStore = require('../../utils/playerDataStore');
+const logger = require('../../utils/logger');
+
+const command = {
+    data: new SlashCommandBuilder()
+        .setName('watch')
+        .setDescription('Get a DM when players you watch are active')
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Watch a player')
+                .addStringOption(option =>
+                    option.setName('player')
+                        .setDescription('Minecraft username')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('remove')
+                .setDescription('Stop watching a player')
+                .addStringOption(option =>
+                    option.setName('player')
+                        .setDescription('Minecraft username')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('List the players you watch')),
+
+    async execute(interaction) {
+        try {
+            const subcommand = interaction.options.getSubcommand();
+            const userId = interaction.user.id;
+            let content;
+
+            if (subcommand === 'add') {
+                const player = interaction.options.getString('player');
+                if (Watchlist.list(userId).length >= Watchlist.MAX_WATCHED) {
+                    content = `❌ You can watch up to ${Watchlist.MAX_WATCHED} players. Remove one first.`;
+                } else if (Watchlist.add(userId, player)) {
+                    content = `✅ Watching **${player}**. You'll get a DM when they join the lobby, chat, prestige or show up in a guild kill. Make sure DMs from server members are enabled.`;
+                } else {
+                    content = `You're already watching **${player}**.`;
+                }
+            } else if (subcommand === 'remove') {
+                const player = interaction.options.getString('player');
+                content = Watchlist.remove(userId, player)
+                    ? `✅ Stopped watching **${player}**.`
+                    : `You're not watching **${player}**.`;
+            } else {
+                const watched = Watchlist.list(userId);
+                content = watched.length > 0
+                    ? '**Your watchlist:**\n' + watched.map(name => {
+                        const player = PlayerDataStore.getPlayer(name);
+                        const seen = player && player.lastSeen
+                            ? ` • seen <t:${Math.floor(player.lastSeen / 1000)}:R>${player.lobby ? ` in ${player.lobby}` : ''}`
+                            : '';
+                        return `• ${PlayerDataStore.formatPlayer(player ? player.name : name)}${seen}`;
+                    }).join('\n')
+                    : 'You\'re not watching anyone. Use `/watch add` to start.';
+            }
+
+            await interaction.reply({ content, ephemeral: true });
+            logger.info('Watch command executed successfully');
+        } catch (error) {
+            logger.error('Error executing watch command:', error);
+            await interaction.reply({
+                content: 'There was an error updating your watchlist.',
+                ephemeral: true
+            });
+        }
+    }
+};
+
+module.exports = command;
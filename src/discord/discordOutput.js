@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Discord output layer behind sendToDiscord, posting new messages or editing
+ * existing ones in place
+ *
+ * A message sent with `messageId` edits that message. A message sent with `messageKey` (e.g.
+ * "lobbyStatus") edits the message last posted under that key; the keys are saved to
+ * discordMessages.json so status messages keep being edited across restarts. Either way a new
+ * message is posted if the old one was deleted. Boards that change in bursts schedule their
+ * edits with scheduleEdit, which batches the changes into one edit.
+ */
+
+const logger = require('../utils/logger');
+const { dataPath, loadJson, saveJson } = require('../utils/jsonFile');
+
+const MESSAGES_FILE = dataPath('discordMessages.json');
+const EDIT_DELAY = 1000;          // Batch changes that happen together into one edit
+
+const DiscordOutput = {
+    discordClient: null,
+
+    // Message key -> { channelId, messageId }
+    messages: {},
+
+    // Message key -> promise of the last send under that key, so sends don't race into duplicates
+    pending: {},
+
+    // Message key -> timeout of its scheduled edit
+    scheduledEdits: {},
+
+    /**
+     * Initialize the output layer
+     * @param {Object} discordClient - Discord client instance
+     */
+    initialize(discordClient) {
+        this.discordClient = discordClient;
+        this.messages = loadJson(MESSAGES_FILE, {});
+        logger.info(`Discord output initialized with ${Object.keys(this.messages).length} tracked messages`);
+    },
+
+    /**
+     * Send a message, or edit the message given by its messageId or messageKey
+     * @param {string} channelId - Discord channel ID
+     * @param {string|Object} message - Message content or payload, optionally with messageId or messageKey
+     * @returns {Promise<Object|undefined>} The sent or edited message
+     */
+    send(channelId, message) {
+        const { messageKey, messageId, ...payload } = typeof message === 'string' ? { content: message } : message;
+        if (!messageKey) {
+            return this.sendOrEdit(channelId, payload, messageId);
+        }
+
+        const previous = this.pending[messageKey] || Promise.resolve();
+        const result = previous.catch(() => {}).then(() => {
+            const stored = this.messages[messageKey];
+            const storedId = stored && stored.channelId === channelId ? stored.messageId : null;
+            return this.sendOrEdit(channelId, payload, messageId || storedId);
+        }).then(sent => {
+            if (sent && (!this.messages[messageKey] || this.messages[messageKey].messageId !== sent.id)) {
+                this.messages[messageKey] = { channelId, messageId: sent.id };
+                saveJson(MESSAGES_FILE, this.messages);
+            }
+            return sent;
+        });
+
+        this.pending[messageKey] = result;
+        return result;
+    },
+
+    /**
+     * Schedule an edit of the message under a key; further calls before it goes out are batched into it
+     * @param {string} messageKey - Message key
+     * @param {Function} sendToDiscord - Send function of the caller, so replays capture the edit
+     * @param {string} channelId - Discord channel ID
+     * @param {Function} buildPayload - Builds the message payload when the edit goes out
+     */
+    scheduleEdit(messageKey, sendToDiscord, channelId, buildPayload) {
+        if (this.scheduledEdits[messageKey]) return;
+
+        this.scheduledEdits[messageKey] = setTimeout(async () => {
+            delete this.scheduledEdits[messageKey];
+            try {
+                await sendToDiscord(channelId, { ...buildPayload(), messageKey });
+            } catch (error) {
+                logger.error(`Error updating ${messageKey} message:`, error);
+            }
+        }, EDIT_DELAY);
+    },
+
+    /**
+     * Cancel the scheduled edit of the message under a key
+     * @param {string} messageKey - Message key
+     */
+    cancelEdit(messageKey) {
+        clearTimeout(this.scheduledEdits[messageKey]);
+        delete this.scheduledEdits[messageKey];
+    },
+
+    /**
+     * Edit a message if it still exists, otherwise post a new one
+     * @param {string} channelId - Discord channel ID
+     * @param {Object} payload - Message payload
+     * @param {string} [messageId] - Message to edit
+     * @returns {Promise<Object|undefined>} The sent or edited message
+     */
+    async sendOrEdit(channelId, payload, messageId) {
+        const channel = await this.discordClient.channels.fetch(channelId);
+        if (!channel) return undefined;
+
+        if (messageId) {
+            try {
+                const existing = await channel.messages.fetch(messageId);
+                return await existing.edit(payload);
+            } catch (error) {
+                logger.warn(`Message ${messageId} in ${channelId} could not be edited, posting a new one`);
+            }
+        }
+        return channel.send(payload);
+    }
+};
+
+module.exports = DiscordOutput;
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Forwards messages from the guild chat Discord channel to Minecraft guild chat
+ */
+
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const LinkedAccounts = require('../services/linkedAccounts');
+
+const GUILD_CHAT_COMMAND = '/g chat ';
+const MAX_CHAT_LENGTH = 100; // Minecraft 1.8 rejects longer chat messages, commands included
+
+/**
+ * Split text into chunks of at most `length` characters, preferring to break between words
+ * @param {string} text - Text to split
+ * @param {number} length - Maximum chunk length
+ * @returns {string[]} Chunks
+ */
+function splitMessage(text, length) {
+    const chunks = [];
+    let remaining = text;
+
+    while (remaining.length > length) {
+        let splitAt = remaining.lastIndexOf(' ', length);
+        if (splitAt <= 0) splitAt = length;
+        chunks.push(remaining.slice(0, splitAt).trim());
+        remaining = remaining.slice(splitAt).trim();
+    }
+    if (remaining) chunks.push(remaining);
+    return chunks;
+}
+
+module.exports = {
+    // Sends are chained so chunks of different messages don't interleave
+    queue: Promise.resolve(),
+
+    initialize(discordClient, commandBridge) {
+        this.commandBridge = commandBridge;
+
+        discordClient.on('messageCreate', (message) => {
+            // Ignore bots, including our own guild chat mirror, and other channels
+            if (message.author.bot || message.channelId !== config.discord.channels.guildChat) return;
+
+            const text = this.formatMessage(message);
+            if (!text) return;
+
+            this.queue = this.queue.then(() => this.sendGuildChat(text));
+        });
+    },
+
+    /**
+     * Get the name a Discord author is shown with in guild chat
+     * @param {Object} message - Discord message
+     * @returns {string} Linked Minecraft name, or the member's nickname
+     */
+    getAuthorName(message) {
+        return LinkedAccounts.getMinecraftName(message.author.id) ||
+            (message.member && message.member.displayName) ||
+            message.author.username;
+    },
+
+    /**
+     * Build the guild chat text for a Discord message
+     * @param {Object} message - Discord message
+     * @returns {string|null} Text prefixed with the author's name, or null if there is nothing to send
+     */
+    formatMessage(message) {
+        let content = (message.cleanContent || '')
+            .replace(/§/g, '')      // Color codes are rejected by the server
+            .replace(/\s+/g, ' ')   // Chat is single line
+            .trim();
+
+        if (message.attachments.size > 0) {
+            content = `${content} [attachment]`.trim();
+        }
+        if (!content) return null;
+
+        return `${this.getAuthorName(message)}: ${content}`;
+    },
+
+    /**
+     * Send text to guild chat, split to fit the chat length limit
+     * @param {string} text - Text to send
+     */
+    async sendGuildChat(text) {
+        const chunks = splitMessage(text, MAX_CHAT_LENGTH - GUILD_CHAT_COMMAND.length);
+
+        for (const [index, chunk] of chunks.entries()) {
+            try {
+                if (index > 0) {
+                    await new Promise(resolve => setTimeout(resolve, config.timings.guildChatChunkDelay));
+                }
+                await this.commandBridge.sendToMinecraft(GUILD_CHAT_COMMAND + chunk);
+            } catch (error) {
+                logger.error('Error forwarding message to guild chat:', error);
+                return;
+            }
+        }
+        logger.info(`Forwarded Discord message to guild chat in ${chunks.length} part(s)`);
+    }
+};
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Batches lobby joins, leaves and chat into digest messages in the lobby channel
+ *
+ * The first line of a digest posts a new message; further lines within the digest window edit
+ * that message, so a busy lobby doesn't post one message per line.
+ */
+
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const { toAnsi } = require('../utils/chatFormatting');
+
+const UPDATE_DELAY = 1000;        // Batch edits of the open digest
+const MAX_LENGTH = 3900;          // Start a new digest before the description hits Discord's 4096 limit
+
+const LobbyDigest = {
+    // { lines, joins, leaves, chats, openedAt, messagePromise, closeTimeout }
+    current: null,
+    updateTimeout: null,
+
+    /**
+     * Initialize the lobby digest
+     * @param {Function} sendToDiscord - Function to send messages to Discord
+     */
+    initialize(sendToDiscord) {
+        this.sendToDiscord = sendToDiscord;
+    },
+
+    /**
+     * Add a player join to the digest
+     * @param {string} player - Player name
+     */
+    addJoin(player) {
+        this.add(toAnsi({ text: `🟢 ${player} joined the lobby`, color: 'green' }), 'joins');
+    },
+
+    /**
+     * Add a player leave to the digest
+     * @param {string} player - Player name
+     */
+    addLeave(player) {
+        this.add(toAnsi({ text: `🔴 ${player} left the lobby`, color: 'red' }), 'leaves');
+    },
+
+    /**
+     * Add a lobby chat line to the digest
+     * @param {string} message - Plain chat text
+     * @param {Object} [component] - Chat component JSON, used to keep the in-game colors
+     */
+    addChat(message, component = null) {
+        this.add(toAnsi(component || message), 'chats');
+    },
+
+    /**
+     * Add a line to the open digest, opening a new digest if there is none
+     * @param {string} line - ANSI formatted line
+     * @param {string} counter - Counter to increment: 'joins', 'leaves' or 'chats'
+     */
+    add(line, counter) {
+        if (this.current && this.getLength(this.current) + line.length + 1 > MAX_LENGTH) {
+            this.close();
+        }
+
+        if (this.current) {
+            this.current.lines.push(line);
+            this.current[counter]++;
+            this.scheduleUpdate();
+            return;
+        }
+
+        const digest = {
+            lines: [line],
+            joins: 0,
+            leaves: 0,
+            chats: 0,
+            openedAt: Date.now(),
+            messagePromise: null,
+            closeTimeout: null
+        };
+        digest[counter]++;
+        digest.messagePromise = this.sendToDiscord(config.discord.channels.lobby, { embeds: [this.buildEmbed(digest)] });
+        digest.closeTimeout = setTimeout(() => this.close(), config.lobbyDigest.window);
+        this.current = digest;
+    },
+
+    /**
+     * Get the length of a digest's lines as rendered
+     * @param {Object} digest - Digest
+     * @returns {number} Characters
+     */
+    getLength(digest) {
+        return digest.lines.reduce((length, line) => length + line.length + 1, 0);
+    },
+
+    /**
+     * Close the open digest, sending any pending edit; the next line opens a new digest
+     */
+    close() {
+        const digest = this.current;
+        if (!digest) return;
+
+        clearTimeout(digest.closeTimeout);
+        if (this.updateTimeout) {
+            clearTimeout(this.updateTimeout);
+            this.updateTimeout = null;
+            this.updateMessage(digest);
+        }
+        this.current = null;
+    },
+
+    /**
+     * Forget the open digest without sending pending edits
+     */
+    reset() {
+        if (this.current) clearTimeout(this.current.closeTimeout);
+        clearTimeout(this.updateTimeout);
+        this.updateTimeout = null;
+        this.current = null;
+    },
+
+    /**
+     * Schedule an edit of the open digest
+     */
+    scheduleUpdate() {
+        if (this.updateTimeout) return;
+
+        const digest = this.current;
+        this.updateTimeout = setTimeout(() => {
+            this.updateTimeout = null;
+            this.updateMessage(digest);
+        }, UPDATE_DELAY);
+    },
+
+    /**
+     * Edit a digest's message
+     * @param {Object} digest - Digest
+     */
+    async updateMessage(digest) {
+        try {
+            const message = await digest.messagePromise;
+            if (message && message.edit) {
+                await message.edit({ embeds: [this.buildEmbed(digest)] });
+            }
+        } catch (error) {
+            logger.error('Error updating lobby digest:', error);
+        }
+    },
+
+    /**
+     * Build a digest embed
+     * @param {Object} digest - Digest
+     * @returns {Object} Discord embed
+     */
+    buildEmbed(digest) {
+        const counts = [];
+        if (digest.joins) counts.push(`${digest.joins} joined`);
+        if (digest.leaves) counts.push(`${digest.leaves} left`);
+        if (digest.chats) counts.push(`${digest.chats} message${digest.chats === 1 ? '' : 's'}`);
+
+        return {
+            color: 0x5865f2,
+            description: '```ansi\n' + digest.lines.join('\n') + '\n```',
+            footer: { text: counts.join(' • ') },
+            timestamp: new Date(digest.openedAt).toISOString()
+        };
+    }
+};
+
+module.exports = LobbyDigest;
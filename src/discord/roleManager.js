@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Helpers for roles the bot creates and assigns itself
+ */
+
+const logger = require('../utils/logger');
+
+const RoleManager = {
+    /**
+     * Fetch a role by ID, creating a mentionable role with the given name if it doesn't exist
+     * @param {Object} guild - Discord guild
+     * @param {string|null} roleId - Stored role ID, if any
+     * @param {string} name - Role name used when creating it
+     * @returns {Promise<Object>} Discord role
+     */
+    async ensureRole(guild, roleId, name) {
+        if (roleId) {
+            try {
+                const role = await guild.roles.fetch(roleId);
+                if (role) return role;
+            } catch (error) {
+                logger.warn(`Stored role ${roleId} for "${name}" not found, creating a new one`);
+            }
+        }
+
+        const existing = guild.roles.cache.find(role => role.name === name);
+        if (existing) return existing;
+
+        const role = await guild.roles.create({
+            name,
+            mentionable: true,
+            reason: 'Managed by the bot for notifications'
+        });
+        logger.info(`Created role ${name} (${role.id})`);
+        return role;
+    },
+
+    /**
+     * Add a role to a member if they don't have it yet
+     * @param {Object} member - Discord guild member
+     * @param {Object} role - Discord role
+     */
+    async addRole(member, role) {
+        if (!member.roles.cache.has(role.id)) {
+            await member.roles.add(role);
+            logger.info(`Added role ${role.name} to ${member.user.tag}`);
+        }
+    },
+
+    /**
+     * Remove a role from a member if they have it
+     * @param {Object} member - Discord guild member
+     * @param {string} roleId - Discord role ID
+     */
+    async removeRole(member, roleId) {
+        if (roleId && member.roles.cache.has(roleId)) {
+            await member.roles.remove(roleId);
+            logger.info(`Removed role ${roleId} from ${member.user.tag}`);
+        }
+    }
+};
+
+module.exports = RoleManager;
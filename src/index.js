@@ -12,9 +12,26 @@ const LobbyMonitor = require('./minecraft/lobbyMonitor');
 const ChatParser = require('./minecraft/chatParser');
 const CommandBridge = require('./minecraft/commandBridge');
 const BoosterTracker = require('./services/boosterTracker');
+const EventScheduler = require('./services/eventScheduler');
+const EventHistory = require('./services/eventHistory');
+const EventSubscriptions = require('./services/eventSubscriptions');
+const EventCatalog = require('./services/eventCatalog');
+const AuctionTracker = require('./services/auctionTracker');
+const BountyTracker = require('./services/bountyTracker');
+const BoosterHistory = require('./services/boosterHistory');
+const BoosterSubscriptions = require('./services/boosterSubscriptions');
+const ScheduledPosts = require('./services/scheduledPosts');
+const WeeklySummaries = require('./services/weeklySummaries');
+const GuildKills = require('./services/guildKills');
+const LobbyStats = require('./services/lobbyStats');
+const Watchlist = require('./services/watchlist');
 const { commands, commandData } = require('./discord/commands');
 const PrivateMessenger = require('./discord/privateMessenger');
+const GuildChatBridge = require('./discord/guildChatBridge');
+const BoosterBoard = require('./discord/boosterBoard');
+const DiscordOutput = require('./discord/discordOutput');
 const ChatHandler = require('./minecraft/chatHandler');
+const TranscriptRecorder = require('./tools/transcriptRecorder');
 
 // Create Discord client
 const discordClient = new Client({
@@ -108,14 +125,12 @@ async function initializeMinecraftBot(accountIndex = 0) {
 /**
  * Send a message to a Discord channel
  * @param {string} channelId - Discord channel ID
- * @param {string|Object} message - Message content or embed
+ * @param {string|Object} message - Message content or embed; a messageId or messageKey edits that message instead
+ * @returns {Promise<Object|undefined>} The sent or edited message, so callers can edit it later
  */
 async function sendToDiscord(channelId, message) {
     try {
-        const channel = await discordClient.channels.fetch(channelId);
-        if (channel) {
-            await channel.send(message);
-        }
+        return await DiscordOutput.send(channelId, message);
     } catch (error) {
         logger.error('Error sending Discord message:', error);
     }
@@ -139,6 +154,7 @@ discordClient.once(Events.ClientReady, async () => {
     if (this.initialized) return;
     this.initialized = true;
     logger.info(`Discord bot logged in as ${discordClient.user.tag}`);
+    DiscordOutput.initialize(discordClient);
     await initializeCommands();
 
     try {
@@ -149,19 +165,40 @@ discordClient.once(Events.ClientReady, async () => {
         const bot = await initializeMinecraftBot(currentAccountIndex);
 
         // Initialize services
+        LobbyStats.initialize();
         LobbyMonitor.initialize(bot, sendToDiscord);
         CommandBridge.initialize(bot, sendToDiscord, discordClient);
         ChatParser.initialize(sendToDiscord, LobbyMonitor, CommandBridge);
-        BoosterTracker.initialize();
+        BoosterHistory.initialize();
+        BoosterTracker.initialize(sendToDiscord);
+        BoosterBoard.initialize(sendToDiscord);
+        EventCatalog.initialize(sendToDiscord);
+        EventScheduler.initialize(sendToDiscord);
+        EventHistory.initialize();
+        GuildKills.initialize();
+        AuctionTracker.initialize(sendToDiscord);
+        BountyTracker.initialize(sendToDiscord);
+        WeeklySummaries.initialize(sendToDiscord);
+        ScheduledPosts.initialize();
+        EventSubscriptions.initialize(discordClient);
+        BoosterSubscriptions.initialize(discordClient);
+        Watchlist.initialize(discordClient);
         PrivateMessenger.initialize(discordClient, CommandBridge);
+        GuildChatBridge.initialize(discordClient, CommandBridge);
         ChatHandler.initialize(sendToDiscord);
 
+        // Optionally record the raw chat stream for offline replay
+        if (process.env.RECORD_TRANSCRIPT) {
+            TranscriptRecorder.attach(bot, process.env.RECORD_TRANSCRIPT);
+        }
+
         // Set up chat handling
         bot.on('message', (message) => {
             const text = message.toString().trim();
             if (text) {
                 logger.debug(`Received chat message: ${text}`);
-                ChatHandler.handleChat(text);
+                // Keep the JSON component so mirrors can render colors
+                ChatHandler.handleChat(text, message.json);
             }
         });
     } catch (error) {
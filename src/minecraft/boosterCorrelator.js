@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Matches booster activation chat messages with the title packets carrying their multipliers
+ *
+ * Activations and multipliers are queued by arrival time and paired oldest first, so two boosters
+ * activated close together each get their own multiplier. A title may also arrive just before
+ * its chat message, in which case it waits for the activation instead.
+ */
+
+const logger = require('../utils/logger');
+const { getPlainText } = require('../utils/chatFormatting');
+
+// Booster titles are just the multiplier (e.g., 2.0x, 3x), so other titles with an "x" don't match
+const MULTIPLIER_PATTERN = /^(\d+(?:\.\d+)?)x\b/;
+
+const DEFAULT_MULTIPLIER = 2.0;
+
+const BoosterCorrelator = {
+    TTL: 1000, // 1 second to match title with chat
+
+    // Activations waiting for a multiplier: { player, type, time, timeout }
+    pendingActivations: [],
+
+    // Multipliers that arrived before their activation: { multiplier, time }
+    unmatchedMultipliers: [],
+
+    // Called with (activation, multiplier, source) once an activation is complete
+    onComplete: null,
+
+    /**
+     * Queue a booster activation seen in chat
+     * @param {string} player - Player who activated the booster
+     * @param {string} type - Booster type
+     */
+    addActivation(player, type) {
+        const activation = { player: player.trim(), type: type.trim(), time: Date.now() };
+        this.pruneUnmatched();
+
+        // Overflow boosters have no multiplier, so they must not consume a title
+        if (activation.type.toLowerCase() === 'overflow') {
+            this.complete(activation, null, null);
+            return;
+        }
+
+        const early = this.unmatchedMultipliers.shift();
+        if (early) {
+            this.complete(activation, early.multiplier, 'title');
+            return;
+        }
+
+        activation.timeout = setTimeout(() => {
+            this.pendingActivations = this.pendingActivations.filter(entry => entry !== activation);
+            logger.info(`No multiplier title for ${activation.player}'s ${activation.type} booster, assuming ${DEFAULT_MULTIPLIER}x`);
+            this.complete(activation, DEFAULT_MULTIPLIER, 'default');
+        }, this.TTL);
+        this.pendingActivations.push(activation);
+    },
+
+    /**
+     * Handle a title or subtitle packet
+     * @param {string} text - Title text, usually chat component JSON
+     * @param {string} [titleType] - 'title' or 'subtitle'
+     */
+    handleTitle(text, titleType = 'title') {
+        const multiplier = this.parseMultiplier(text);
+        if (multiplier === null) return;
+
+        const activation = this.pendingActivations.shift();
+        if (activation) {
+            clearTimeout(activation.timeout);
+            logger.debug(`Matched ${multiplier}x ${titleType} to ${activation.player}'s ${activation.type} booster`);
+            this.complete(activation, multiplier, 'title');
+            return;
+        }
+
+        this.pruneUnmatched();
+        this.unmatchedMultipliers.push({ multiplier, time: Date.now() });
+    },
+
+    /**
+     * Read a multiplier from a title
+     * @param {string} text - Title text or chat component JSON
+     * @returns {number|null} Multiplier
+     */
+    parseMultiplier(text) {
+        let plainText;
+        try {
+            plainText = getPlainText(JSON.parse(text));
+        } catch (error) {
+            // Plain text title, possibly with § codes
+            plainText = getPlainText(text);
+        }
+
+        const match = MULTIPLIER_PATTERN.exec(plainText.trim());
+        return match ? parseFloat(match[1]) : null;
+    },
+
+    /**
+     * Drop early multipliers that no activation claimed in time
+     */
+    pruneUnmatched() {
+        const cutoff = Date.now() - this.TTL;
+        this.unmatchedMultipliers = this.unmatchedMultipliers.filter(entry => entry.time >= cutoff);
+    },
+
+    /**
+     * Hand a completed activation to the listener
+     * @param {Object} activation - Activation
+     * @param {number|null} multiplier - Multiplier, null for overflow
+     * @param {string|null} source - Where the multiplier came from ('title' or 'default')
+     */
+    complete(activation, multiplier, source) {
+        if (this.onComplete) {
+            this.onComplete({ player: activation.player, type: activation.type }, multiplier, source);
+        }
+    },
+
+    /**
+     * Drop all pending activations and early multipliers
+     */
+    clear() {
+        for (const activation of this.pendingActivations) {
+            clearTimeout(activation.timeout);
+        }
+        this.pendingActivations = [];
+        this.unmatchedMultipliers = [];
+    }
+};
+
+module.exports = BoosterCorrelator;
@@ -1,7 +1,8 @@
 const PlayerDataStore = require('../utils/playerDataStore');
 const PlayerTracker = require('../services/playerTracker');
-const config = require('../utils/config');
 const ChatParser = require('./chatParser');
+const LobbyDigest = require('../discord/lobbyDigest');
+const Watchlist = require('../services/watchlist');
 
 module.exports = {
     sendToDiscord: null,
@@ -10,32 +11,32 @@ module.exports = {
         this.sendToDiscord = sendToDiscord;
     },
 
-    handleChat(message) {
+    /**
+     * Handle a chat line from Minecraft
+     * @param {string} message - Plain chat text
+     * @param {Object} [component] - Chat component JSON, used to keep colors in the Discord mirror
+     */
+    handleChat(message, component = null) {
         const player = extractPlayerInfo(message);
         if (player) {
+            const lobby = ChatParser.lobbyMonitor && ChatParser.lobbyMonitor.currentLobby;
+            if (lobby) player.lobby = lobby;
             PlayerDataStore.updatePlayer(player);
             if (PlayerDataStore.hasPlayerChanged(player)) {
                 PlayerTracker.updatePlayerList();
             }
 
-            // Skip if the message is already processed by ChatParser
-            if (!message.startsWith('🟢') && !message.startsWith('🔴')) {
-                // Extract the actual message content (remove the player info prefix)
-                const messageContent = message.replace(/\[([^\]]+)-(\d+)\](?: \[([^\]]+)\])?(?: \[([^\]]+)\])? ([^:]+): /, '');
-
-                // Forward message to lobby channel
-                const embed = {
-                    color: 0x7289DA,
-                    description: `**[${player.prestige}-${player.level}] ${player.guild ? `[${player.guild}]` : ''} ${player.rank ? `[${player.rank}]` : ''} ${player.name}:** ${messageContent}`,
-                    fields: []
-                };
-                this.sendToDiscord(config.discord.channels.lobby, { embeds: [embed] });
-            }
+            // Forward message to the lobby digest, colored like in-game when we have the component
+            LobbyDigest.addChat(message, component);
+
+            // Extract the actual message content (remove the player info prefix)
+            const messageContent = message.replace(/\[([^\]]+)-(\d+)\](?: \[([^\]]+)\])?(?: \[([^\]]+)\])? ([^:]+): /, '');
+            Watchlist.notify(player.name, 'chat', { description: messageContent, lobby });
         }
 
         // Forward message to chat parser only if it's not a lobby chat message
         if (!message.match(/\[([^\]]+)-(\d+)\](?: \[([^\]]+)\])?(?: \[([^\]]+)\])? ([^:]+):/)) {
-            ChatParser.handleMessage(message);
+            ChatParser.handleMessage(message, component);
         }
     }
 };
@@ -4,6 +4,7 @@
 
 const logger = require('../utils/logger');
 const config = require('../utils/config');
+const LinkedAccounts = require('../services/linkedAccounts');
 const { Client } = require('discord.js');
 
 const CommandBridge = {
@@ -177,6 +178,8 @@ const CommandBridge = {
                 logger.warn(`Could not send success message to ${member.user.tag}: ${error.message}`);
             }
 
+            LinkedAccounts.link(member.id, minecraftUsername);
+
             // Remove the used verification code
             this.verificationCodes.delete(code);
             logger.info(`Successfully verified ${minecraftUsername} with Discord user ${member.user.tag}`);
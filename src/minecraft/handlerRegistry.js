@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Registry that dispatches chat messages to pluggable handler modules
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * A chat handler definition.
+ * @typedef {Object} ChatHandlerDefinition
+ * @property {string} name - Unique handler name, used in logs
+ * @property {Object<string, RegExp>} patterns - Named patterns; the handler runs if any of them match
+ * @property {number} [priority=0] - Handlers with a higher priority run first
+ * @property {boolean} [stopPropagation=true] - Whether a handled message skips the remaining handlers
+ * @property {Function} handle - Called as handle(matches, message, context, component). `matches`
+ *     holds the match result of every pattern that matched, keyed by pattern name, and `component`
+ *     is the message's chat component JSON when available. Returning false marks the message as
+ *     not handled so dispatch continues with the next handler.
+ */
+
+class HandlerRegistry {
+    constructor() {
+        this.handlers = [];
+    }
+
+    /**
+     * Register a chat handler
+     * @param {ChatHandlerDefinition} handler - Handler definition
+     * @throws {Error} If the handler definition is invalid or its name is already registered
+     */
+    register(handler) {
+        this.validate(handler);
+
+        if (this.handlers.some(h => h.name === handler.name)) {
+            throw new Error(`Chat handler "${handler.name}" is already registered`);
+        }
+
+        this.handlers.push({
+            priority: 0,
+            stopPropagation: true,
+            ...handler
+        });
+
+        // Stable sort keeps registration order for equal priorities
+        this.handlers.sort((a, b) => b.priority - a.priority);
+        logger.debug(`Registered chat handler: ${handler.name} (priority ${handler.priority || 0})`);
+    }
+
+    /**
+     * Remove a chat handler
+     * @param {string} name - Handler name
+     * @returns {boolean} Whether a handler was removed
+     */
+    unregister(name) {
+        const index = this.handlers.findIndex(h => h.name === name);
+        if (index === -1) return false;
+
+        this.handlers.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Register every handler module in a directory
+     * @param {string} dir - Directory containing handler modules
+     */
+    loadDirectory(dir) {
+        const files = fs.readdirSync(dir)
+            .filter(file => file.endsWith('.js'))
+            .sort();
+
+        for (const file of files) {
+            try {
+                const exported = require(path.join(dir, file));
+                const handlers = Array.isArray(exported) ? exported : [exported];
+                handlers.forEach(handler => this.register(handler));
+            } catch (error) {
+                logger.error(`Error loading chat handler ${file}:`, error);
+            }
+        }
+
+        logger.info(`Loaded ${this.handlers.length} chat handlers`);
+    }
+
+    /**
+     * Validate a handler definition
+     * @param {ChatHandlerDefinition} handler - Handler definition
+     * @throws {Error} If the definition is invalid
+     */
+    validate(handler) {
+        if (!handler || typeof handler.name !== 'string' || !handler.name) {
+            throw new Error('Chat handler must have a name');
+        }
+        if (typeof handler.handle !== 'function') {
+            throw new Error(`Chat handler "${handler.name}" must have a handle function`);
+        }
+
+        const patterns = Object.values(handler.patterns || {});
+        if (patterns.length === 0 || !patterns.every(pattern => pattern instanceof RegExp)) {
+            throw new Error(`Chat handler "${handler.name}" must declare at least one RegExp pattern`);
+        }
+    }
+
+    /**
+     * Run all of a handler's patterns against a message
+     * @param {ChatHandlerDefinition} handler - Handler definition
+     * @param {string} message - Chat message
+     * @returns {Object|null} Matches keyed by pattern name, or null if nothing matched
+     */
+    match(handler, message) {
+        let matches = null;
+
+        for (const [key, pattern] of Object.entries(handler.patterns)) {
+            const match = message.match(pattern);
+            if (match) {
+                matches = matches || {};
+                matches[key] = match;
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Dispatch a message to the registered handlers in priority order
+     * @param {string} message - Chat message
+     * @param {Object} context - Context passed to every handler
+     * @param {Object} [component] - Chat component JSON of the message
+     * @returns {string[]} Names of the handlers that handled the message
+     */
+    dispatch(message, context, component = null) {
+        const handledBy = [];
+
+        for (const handler of this.handlers) {
+            const matches = this.match(handler, message);
+            if (!matches) continue;
+
+            try {
+                if (handler.handle(matches, message, context, component) === false) continue;
+            } catch (error) {
+                logger.error(`Error in chat handler ${handler.name}:`, error);
+                continue;
+            }
+
+            handledBy.push(handler.name);
+            if (handler.stopPropagation) break;
+        }
+
+        return handledBy;
+    }
+}
+
+module.exports = HandlerRegistry;
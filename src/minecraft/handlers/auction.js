@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Chat handler feeding auction announcements, bids and winners to the auction tracker
+ */
+
+const AuctionTracker = require('../../services/auctionTracker');
+
+/**
+ * Parse a gold amount such as "1,500"
+ * @param {string} amount - Amount from chat
+ * @returns {number|null} Gold amount
+ */
+function parseGold(amount) {
+    return amount ? parseInt(amount.replace(/,/g, ''), 10) : null;
+}
+
+module.exports = {
+    name: 'auction',
+    // Runs before the event handler and lets it announce the start and end as usual
+    priority: 35,
+    stopPropagation: false,
+    patterns: {
+        start: /MINOR EVENT! AUCTION! Check your chat!/,
+        end: /MINOR EVENT! AUCTION ending now/,
+        item: /AUCTION! (?:Now auctioning|Up for auction): (.+?)(?: \(starting (?:bid|at):? ([\d,]+)g\))?!?$/,
+        bid: /AUCTION! (?:\[[^\]]+\] )?(\w+) (?:bid|bids|placed a bid of) ([\d,]+)g(?: on (.+?))?!?$/,
+        winner: /AUCTION! (?:\[[^\]]+\] )?(\w+) (?:won|has won) (.+?) (?:for|with a bid of) ([\d,]+)g!?$/
+    },
+
+    /**
+     * Update the tracked auction
+     * @param {Object} matches - Pattern matches keyed by name
+     * @returns {boolean} True if message was handled
+     */
+    handle({ start, end, item, bid, winner }) {
+        if (start) {
+            AuctionTracker.start();
+        } else if (end) {
+            AuctionTracker.end();
+        } else if (winner) {
+            const [, player, itemName, price] = winner;
+            AuctionTracker.setWinner(player, itemName.trim(), parseGold(price));
+        } else if (bid) {
+            const [, player, amount, itemName] = bid;
+            AuctionTracker.addBid(player, parseGold(amount), itemName && itemName.trim());
+        } else if (item) {
+            const [, itemName, startingBid] = item;
+            AuctionTracker.addItem(itemName.trim(), parseGold(startingBid));
+        }
+        return true;
+    }
+};
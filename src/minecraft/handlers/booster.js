@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Chat handler for booster activation and expiry messages
+ */
+
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+const BoosterTracker = require('../../services/boosterTracker');
+
+module.exports = {
+    name: 'booster',
+    priority: 40,
+    patterns: {
+        activate: /WOAH! \[\d+\] (\w+) (?:just )?activated a (\w+) booster! GG!/i,  // Case insensitive, "just" is now optional
+        expire: /(\w+)'s (?:([\d.]+)x )?(\w+) (?:boost(?:er)?|boost) expired!/i
+    },
+
+    /**
+     * Handle booster activations and expirations
+     * @param {Object} matches - Pattern matches keyed by name
+     * @param {string} message - Chat message
+     * @param {Object} parser - Chat parser context
+     * @returns {boolean} True if message was handled
+     */
+    handle({ activate, expire }, message, parser) {
+        if (activate) {
+            const [, player, type] = activate;
+
+            // Queued until a title brings its multiplier, or completed with the default multiplier
+            parser.boosterCorrelator.addActivation(player, type);
+
+            return true;
+        }
+
+        const [, player, multiplier, type] = expire;
+        const normalizedType = type.toLowerCase();
+
+        // Create embed for booster expiration (no ping)
+        const embed = {
+            color: 0xff0000,
+            title: '⌛ Booster Expired',
+            fields: [
+                { name: 'Player', value: player.trim(), inline: true },
+                { name: 'Type', value: type.toUpperCase(), inline: true },
+                {
+                    name: 'Expired',
+                    value: `<t:${Math.floor(Date.now() / 1000)}:R>`,
+                    inline: true
+                }
+            ]
+        };
+
+        // Add multiplier field only if it exists (not for overflow)
+        if (multiplier) {
+            embed.fields.splice(2, 0, {
+                name: 'Multiplier',
+                value: `${multiplier}x`,
+                inline: true
+            });
+        }
+
+        parser.sendToDiscord(config.discord.channels.boosters, { embeds: [embed] })
+            .then(() => logger.info(`Booster expiration notification sent for ${player} (${type}${multiplier ? ` ${multiplier}x` : ''})`))
+            .catch(err => logger.error('Failed to send booster expiration notification:', err));
+
+        // Try to remove booster from tracker, which announces the free slot after the expiry
+        BoosterTracker.removeBooster(normalizedType, player, multiplier ? parseFloat(multiplier) : null);
+
+        return true;
+    }
+};
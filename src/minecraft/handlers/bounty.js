@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Chat handler for bounty placements, bumps and claims
+ */
+
+const BountyTracker = require('../../services/bountyTracker');
+
+/**
+ * Parse a gold amount such as "1,500"
+ * @param {string} amount - Amount from chat
+ * @returns {number} Gold amount
+ */
+function parseGold(amount) {
+    return parseInt(amount.replace(/,/g, ''), 10);
+}
+
+module.exports = {
+    name: 'bounty',
+    priority: 45,
+    patterns: {
+        claim: /BOUNTY CLAIMED! (?:\[[^\]]+\] )?(\w+) killed (?:\[[^\]]+\] )?(\w+) for ([\d,]+)g/,
+        bump: /BOUNTY! bump ([\d,]+)g on (?:\[[^\]]+\] )?(\w+)(?: for (.+?))?!?$/,
+        place: /BOUNTY! (?:of )?([\d,]+)g (?:bounty )?(?:placed )?on (?:\[[^\]]+\] )?(\w+)(?: for (.+?))?!?$/
+    },
+
+    /**
+     * Update the bounty board
+     * @param {Object} matches - Pattern matches keyed by name
+     * @returns {boolean} True if message was handled
+     */
+    handle({ claim, bump, place }) {
+        if (claim) {
+            const [, killer, victim, amount] = claim;
+            BountyTracker.claimBounty(killer, victim, parseGold(amount));
+        } else if (bump) {
+            const [, amount, player, reason] = bump;
+            BountyTracker.bumpBounty(player, parseGold(amount), reason);
+        } else if (place) {
+            const [, amount, player, reason] = place;
+            BountyTracker.placeBounty(player, parseGold(amount), reason);
+        }
+        return true;
+    }
+};
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Chat handler for command execution confirmations
+ */
+
+const logger = require('../../utils/logger');
+
+module.exports = {
+    name: 'commandResponse',
+    priority: 110,
+    patterns: {
+        commandResponse: /Command executed: (.+)/
+    },
+
+    /**
+     * Log command confirmations so they are not parsed as anything else
+     * @param {Object} matches - Pattern matches keyed by name
+     * @returns {boolean} True if message was handled
+     */
+    handle({ commandResponse }) {
+        const [, command] = commandResponse;
+        logger.info(`Command executed: ${command}`);
+        return true;
+    }
+};
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Chat handler for major and minor event announcements
+ */
+
+const EventScheduler = require('../../services/eventScheduler');
+const EventCatalog = require('../../services/eventCatalog');
+
+module.exports = {
+    name: 'event',
+    priority: 30,
+    patterns: {
+        majorStarting: /MAJOR EVENT! ([^!]+?) starting in (\d+) minutes/,
+        majorStartingNow: /MAJOR EVENT! ([^!]+?) starting now/,
+        harvestStart: /MINOR EVENT! HARVEST SEASON!/,
+        harvestEnd: /MINOR EVENT! HARVEST SEASON ended/,
+        auctionStart: /MINOR EVENT! AUCTION! Check your chat!/,
+        auctionEnd: /MINOR EVENT! AUCTION ending now/
+    },
+
+    /**
+     * Send a notification for an event announcement
+     * @param {Object} matches - Pattern matches keyed by name
+     * @param {string} message - Chat message
+     * @param {Object} parser - Chat parser context
+     * @returns {boolean} True if message was handled
+     */
+    handle(matches, message, parser) {
+        const {
+            majorStarting,
+            majorStartingNow,
+            harvestStart,
+            harvestEnd,
+            auctionStart,
+            auctionEnd
+        } = matches;
+
+        // Handle major events
+        if (majorStarting) {
+            const [, name, minutes] = majorStarting;
+            EventCatalog.checkKnown(name, 'MAJOR', message);
+            EventScheduler.addEvent({
+                name,
+                type: 'MAJOR',
+                startTime: Date.now() + parseInt(minutes) * 60 * 1000,
+                source: 'announcement'
+            });
+
+            if (minutes === '3') {
+                // Set timestamp to 3 minutes in the future
+                const scheduledTime = Date.now() + parseInt(minutes) * 60 * 1000;
+                return parser.sendEventNotification({
+                    type: 'MAJOR',
+                    name: name.trim(),
+                    status: 'starting in 3m',
+                    ping: true,
+                    timestamp: scheduledTime
+                });
+            }
+            return false;
+        }
+        if (majorStartingNow) {
+            const [, name] = majorStartingNow;
+            EventCatalog.checkKnown(name, 'MAJOR', message);
+            EventScheduler.markStarted(name);
+            return parser.sendEventNotification({
+                type: 'MAJOR',
+                name: name.trim(),
+                status: 'starting now',
+                timestamp: Date.now()
+            });
+        }
+
+        // Handle minor events
+        if (harvestStart) {
+            EventScheduler.markStarted('HARVEST SEASON');
+            return parser.sendEventNotification({
+                type: 'MINOR',
+                name: 'HARVEST SEASON',
+                status: 'active',
+                timestamp: Date.now()
+            });
+        }
+        if (harvestEnd) {
+            return parser.sendEventNotification({
+                type: 'MINOR',
+                name: 'HARVEST SEASON',
+                status: 'ended',
+                timestamp: Date.now()
+            });
+        }
+        if (auctionStart) {
+            EventScheduler.markStarted('AUCTION');
+            return parser.sendEventNotification({
+                type: 'MINOR',
+                name: 'AUCTION',
+                status: 'starting soon',
+                timestamp: Date.now()
+            });
+        }
+        if (auctionEnd) {
+            return parser.sendEventNotification({
+                type: 'MINOR',
+                name: 'AUCTION',
+                status: 'ending now',
+                timestamp: Date.now()
+            });
+        }
+
+        return false;
+    }
+};
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Chat handler for "PIT EVENT ENDED" messages
+ */
+
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+const EventHistory = require('../../services/eventHistory');
+const EventCatalog = require('../../services/eventCatalog');
+
+module.exports = {
+    name: 'eventEnd',
+    priority: 50,
+    patterns: {
+        ended: /PIT EVENT ENDED: ([^!]+?)!/
+    },
+
+    /**
+     * Post an event end notification
+     * @param {Object} matches - Pattern matches keyed by name
+     * @param {string} message - Chat message
+     * @param {Object} parser - Chat parser context
+     * @returns {boolean} True if message was handled
+     */
+    handle({ ended }, message, parser) {
+        const [, name] = ended;
+        const timestamp = Date.now();
+        const eventKey = `EVENT-${name}-ended`;
+
+        // Check for recent duplicate
+        const existingEvent = parser.activeEvents.get(eventKey);
+        if (existingEvent && timestamp - existingEvent.timestamp < 5000) {
+            return true;
+        }
+
+        // Track this event
+        parser.activeEvents.set(eventKey, {
+            timestamp,
+            name,
+            status: 'ended'
+        });
+
+        // The end message doesn't say whether it was a major or minor event, so ask the catalog
+        EventCatalog.checkKnown(name, null, message);
+        const category = EventCatalog.getCategory(name);
+
+        EventHistory.recordEnd(name, category, timestamp);
+
+        const embed = {
+            color: EventCatalog.getColor(name, category),
+            description: `${EventCatalog.getEmoji(name, category)} ${category} EVENT: ${name.trim()} (ended) ${parser.eventEmojis.status.ended} <t:${Math.floor(timestamp / 1000)}:R>`
+        };
+
+        parser.sendToDiscord(config.discord.channels.events, { embeds: [embed] });
+        logger.info(`Event ended: ${name}`);
+        return true;
+    }
+};
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Chat handler for /events command responses
+ */
+
+const config = require('../../utils/config');
+const EventScheduler = require('../../services/eventScheduler');
+const EventCatalog = require('../../services/eventCatalog');
+
+module.exports = {
+    name: 'eventsCommand',
+    priority: 60,
+    patterns: {
+        major: /EVENTS! Next Major Event: ([^!]+?) in (\d+m\d+s|\d+s)/,
+        minor: /EVENTS! Next Minor Event: ([^!]+?) in (\d+m\d+s|\d+s)/
+    },
+
+    /**
+     * Schedule the upcoming events and post them to the bot-commands channel
+     * @param {Object} matches - Pattern matches keyed by name
+     * @param {string} message - Chat message
+     * @param {Object} parser - Chat parser context
+     * @returns {boolean} True if message was handled
+     */
+    handle({ major, minor }, message, parser) {
+        const embed = {
+            color: 0x00ff00, // Green color
+            title: '📅 Upcoming Events',
+            fields: []
+        };
+
+        if (major) {
+            const [, name, time] = major;
+            const timestamp = parser.parseEventTime(time);
+            EventCatalog.checkKnown(name, 'MAJOR', message);
+            EventScheduler.addEvent({ name, type: 'MAJOR', startTime: timestamp, source: 'events-command' });
+            embed.fields.push({
+                name: 'Next Major Event',
+                value: `${name}\n⌛ <t:${Math.floor(timestamp / 1000)}:R>`,
+                inline: false
+            });
+        }
+
+        if (minor) {
+            const [, name, time] = minor;
+            const timestamp = parser.parseEventTime(time);
+            EventCatalog.checkKnown(name, 'MINOR', message);
+            EventScheduler.addEvent({ name, type: 'MINOR', startTime: timestamp, source: 'events-command' });
+            embed.fields.push({
+                name: 'Next Minor Event',
+                value: `${name}\n⌛ <t:${Math.floor(timestamp / 1000)}:R>`,
+                inline: false
+            });
+        }
+
+        // Send to bot-commands channel
+        parser.sendToDiscord(config.discord.channels.botCommands, { embeds: [embed] });
+        return true;
+    }
+};
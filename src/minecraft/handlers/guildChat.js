@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Chat handler for guild chat messages
+ */
+
+const config = require('../../utils/config');
+const { toAnsiCodeBlock } = require('../../utils/chatFormatting');
+
+module.exports = {
+    name: 'guildChat',
+    priority: 90,
+    patterns: {
+        guildChat: /Guild > \[(\w+)\] (\w+): (.+)/
+    },
+
+    /**
+     * Mirror guild chat to the guild chat channel, except messages the bot sent from Discord
+     * @param {Object} matches - Pattern matches keyed by name
+     * @param {string} message - Chat message
+     * @param {Object} parser - Chat parser context
+     * @param {Object} [component] - Chat component JSON
+     * @returns {boolean} True if message was handled
+     */
+    handle({ guildChat }, message, parser, component) {
+        const [, role, player, content] = guildChat;
+
+        // Our own messages are relayed from Discord, mirroring them back would duplicate them
+        const bot = parser.lobbyMonitor && parser.lobbyMonitor.bot;
+        if (bot && player === bot.username) return true;
+
+        const embed = {
+            color: 0x7289DA, // Discord blurple
+            description: component ? toAnsiCodeBlock(component) : `**[${role}] ${player}:** ${content}`
+        };
+
+        parser.sendToDiscord(config.discord.channels.guildChat, { embeds: [embed] });
+        return true;
+    }
+};
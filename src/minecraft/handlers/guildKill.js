@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Chat handler for [GKILLS] guild kill messages
+ */
+
+const config = require('../../utils/config');
+const GuildKills = require('../../services/guildKills');
+const Watchlist = require('../../services/watchlist');
+
+module.exports = {
+    name: 'guildKill',
+    priority: 80,
+    patterns: {
+        guildKill: /\[GKILLS\] \[(\d+)\] (\w+) Killed \[(\d+)\] (\w+)/
+    },
+
+    /**
+     * Record a guild kill, post it to the guild kills channel and alert watchers
+     * @param {Object} matches - Pattern matches keyed by name
+     * @param {string} message - Chat message
+     * @param {Object} parser - Chat parser context
+     * @returns {boolean} True if message was handled
+     */
+    handle({ guildKill }, message, parser) {
+        const [, killerLevel, killer, victimLevel, victim] = guildKill;
+        const timestamp = new Date();
+
+        GuildKills.recordKill({
+            killer,
+            killerLevel: parseInt(killerLevel, 10),
+            victim,
+            victimLevel: parseInt(victimLevel, 10)
+        });
+
+        const embed = {
+            color: 0xFF0000, // Red for kills
+            title: 'Guild Kill',
+            fields: [
+                { name: 'Killer', value: `${killer} (Lvl ${killerLevel})`, inline: true },
+                { name: 'Victim', value: `${victim} (Lvl ${victimLevel})`, inline: true },
+                {
+                    name: 'Time',
+                    value: `<t:${Math.floor(timestamp / 1000)}:R>`,
+                    inline: true
+                }
+            ]
+        };
+
+        parser.sendToDiscord(config.discord.channels.guildKills, { embeds: [embed] });
+
+        const description = `${killer} (Lvl ${killerLevel}) killed ${victim} (Lvl ${victimLevel})`;
+        Watchlist.notify(killer, 'guildKill', { description });
+        Watchlist.notify(victim, 'guildKill', { description });
+        return true;
+    }
+};
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Chat handler for lobby change messages
+ */
+
+module.exports = {
+    name: 'lobbyChange',
+    priority: 10,
+    patterns: {
+        lobby: /MOVING! Sending you to (\w+)/
+    },
+
+    /**
+     * Tell the lobby monitor about the new lobby
+     * @param {Object} matches - Pattern matches keyed by name
+     * @param {string} message - Chat message
+     * @param {Object} parser - Chat parser context
+     * @returns {boolean} True if message was handled
+     */
+    handle({ lobby }, message, parser) {
+        const [, lobbyName] = lobby;
+        parser.lobbyMonitor.handleNewLobby(lobbyName);
+        return true;
+    }
+};
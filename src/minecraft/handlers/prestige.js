@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Chat handler for prestige unlock broadcasts
+ */
+
+const config = require('../../utils/config');
+const PlayerDataStore = require('../../utils/playerDataStore');
+const Watchlist = require('../../services/watchlist');
+
+module.exports = {
+    name: 'prestige',
+    priority: 20,
+    patterns: {
+        prestige: /PRESTIGE! (\w+) unlocked prestige ([\w ]+), gg!/
+    },
+
+    /**
+     * Record the prestige, post a prestige alert and alert watchers
+     * @param {Object} matches - Pattern matches keyed by name
+     * @param {string} message - Chat message
+     * @param {Object} parser - Chat parser context
+     * @returns {boolean} True if message was handled
+     */
+    handle({ prestige }, message, parser) {
+        const [, player, level] = prestige;
+        PlayerDataStore.recordPrestige(player, level.trim());
+
+        const embed = {
+            color: 0xffd700,
+            title: '🏆 PRESTIGE!',
+            description: `${player} unlocked prestige ${level}, gg!`
+        };
+
+        parser.sendToDiscord(config.discord.channels.prestigeAlerts, { embeds: [embed] });
+        Watchlist.notify(player, 'prestige', { description: `${player} unlocked prestige ${level}, gg!` });
+        return true;
+    }
+};
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Chat handler mirroring incoming private messages to the private messenger channel
+ */
+
+const config = require('../../utils/config');
+const { toAnsiCodeBlock } = require('../../utils/chatFormatting');
+
+module.exports = {
+    name: 'privateMessage',
+    // Below verification so 6-digit codes are not mirrored
+    priority: 65,
+    patterns: {
+        privateMessage: /^(\w+) -> you: (.+)/
+    },
+
+    /**
+     * Mirror a private message sent to the bot
+     * @param {Object} matches - Pattern matches keyed by name
+     * @param {string} message - Chat message
+     * @param {Object} parser - Chat parser context
+     * @param {Object} [component] - Chat component JSON
+     * @returns {boolean} True if message was handled
+     */
+    handle({ privateMessage }, message, parser, component) {
+        const [, player, content] = privateMessage;
+
+        const embed = {
+            color: 0xff55ff, // Minecraft light purple, like in-game messages
+            description: component ? toAnsiCodeBlock(component) : `**${player} ➜ you:** ${content}`
+        };
+
+        parser.sendToDiscord(config.discord.channels.privateMessenger, { embeds: [embed] });
+        return true;
+    }
+};
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Chat handler for megastreak activations and streak milestones
+ */
+
+const config = require('../../utils/config');
+const PlayerDataStore = require('../../utils/playerDataStore');
+
+/**
+ * Check whether a guild counts as a rival: one of the configured rival guilds, or when none
+ * are configured, any guild other than ours
+ * @param {string} [guildTag] - Player's guild tag
+ * @returns {boolean} True if the guild is a rival
+ */
+function isRivalGuild(guildTag) {
+    if (!guildTag) return false;
+
+    const { tag, rivals } = config.guild;
+    if (rivals.length > 0) {
+        return rivals.some(rival => rival.toLowerCase() === guildTag.toLowerCase());
+    }
+    return Boolean(tag) && tag.toLowerCase() !== guildTag.toLowerCase();
+}
+
+module.exports = {
+    name: 'streak',
+    priority: 42,
+    patterns: {
+        megastreak: /MEGASTREAK! (?:\[[^\]]+\] )?(\w+) activated (.+?)!?$/,
+        milestone: /STREAK! of (\d+) kills by (?:\[[^\]]+\] )?(\w+)/
+    },
+
+    /**
+     * Post a streak to the streaks channel and record it on the player
+     * @param {Object} matches - Pattern matches keyed by name
+     * @param {string} message - Chat message
+     * @param {Object} parser - Chat parser context
+     * @returns {boolean} True if message was handled
+     */
+    handle({ megastreak, milestone }, message, parser) {
+        const channelId = config.discord.channels.streaks || config.discord.channels.lobby;
+        let embed;
+        let rivalAlert = null;
+
+        if (megastreak) {
+            const [, player, name] = megastreak;
+            const streakName = name.toUpperCase();
+            PlayerDataStore.recordStreak(player, { megastreak: streakName });
+
+            embed = {
+                color: 0xaa00aa,
+                title: '🔥 Megastreak',
+                description: `**${PlayerDataStore.formatPlayer(player)}** activated **${streakName}**`
+            };
+
+            // Megastreaks are broadcast to the whole lobby, so a rival running one is in our lobby
+            const data = PlayerDataStore.getPlayer(player);
+            if (data && isRivalGuild(data.guild)) {
+                const roleId = config.discord.roles.rivalAlerts;
+                rivalAlert = {
+                    content: roleId ? `<@&${roleId}>` : undefined,
+                    embeds: [{
+                        color: 0xff0000,
+                        title: '🚨 Rival Megastreak',
+                        description: `Rival **[${data.guild}] ${player}** is running **${streakName}** in ${parser.lobbyMonitor.currentLobby || 'our lobby'}`
+                    }]
+                };
+            }
+        } else {
+            const [, kills, player] = milestone;
+            const streak = PlayerDataStore.recordStreak(player, { kills: parseInt(kills, 10) });
+
+            embed = {
+                color: 0xff5555,
+                title: '⚔️ Streak',
+                description: `**${PlayerDataStore.formatPlayer(player)}** reached a **${kills}** kill streak` +
+                    (streak.megastreak ? ` on ${streak.megastreak}` : '')
+            };
+        }
+
+        embed.timestamp = new Date().toISOString();
+        parser.sendToDiscord(channelId, { embeds: [embed] });
+        if (rivalAlert) {
+            parser.sendToDiscord(channelId, rivalAlert);
+        }
+        return true;
+    }
+};
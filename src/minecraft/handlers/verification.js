@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Chat handler for account verification codes sent by private message
+ */
+
+const logger = require('../../utils/logger');
+
+module.exports = {
+    name: 'verification',
+    priority: 70,
+    patterns: {
+        verifyMessage: /(\w+) -> you: (\d{6})/
+    },
+
+    /**
+     * Pass a received verification code to the command bridge
+     * @param {Object} matches - Pattern matches keyed by name
+     * @param {string} message - Chat message
+     * @param {Object} parser - Chat parser context
+     * @returns {boolean} True if message was handled
+     */
+    handle({ verifyMessage }, message, parser) {
+        const [, playerName, code] = verifyMessage;
+        logger.info(`Received verification code ${code} from player ${playerName}`);
+
+        // Pass to command bridge for verification
+        if (parser.commandBridge) {
+            parser.commandBridge.handleVerificationCode(playerName, code);
+        }
+
+        return true;
+    }
+};
@@ -5,8 +5,12 @@
 const logger = require('../utils/logger');
 const config = require('../utils/config');
 const PlayerTracker = require('../services/playerTracker');
+const LobbyCensus = require('../services/lobbyCensus');
+const LobbyStats = require('../services/lobbyStats');
+const NpcFilter = require('../services/npcFilter');
 const PlayerDataStore = require('../utils/playerDataStore');
-const ChatHandler = require('./chatHandler');
+const LobbyDigest = require('../discord/lobbyDigest');
+const Watchlist = require('../services/watchlist');
 
 const LobbyMonitor = {
     bot: null,
@@ -19,7 +23,6 @@ const LobbyMonitor = {
     reconnectAttempts: 0,
     MAX_RECONNECT_ATTEMPTS: config.timings.maxReconnectAttempts || 5,
     isLobbyTransition: false,
-    lobbyMessageId: null,
     isScanning: false,
 
     /**
@@ -33,6 +36,9 @@ const LobbyMonitor = {
         
         // Initialize PlayerTracker
         PlayerTracker.initialize(sendToDiscord);
+        LobbyDigest.initialize(sendToDiscord);
+        NpcFilter.initialize(bot);
+        LobbyCensus.initialize(this, sendToDiscord);
         
         this.setupErrorHandlers();
         this.setupAFKPrevention();
@@ -44,8 +50,9 @@ const LobbyMonitor = {
             setTimeout(() => this.sendPlayCommand(), config.timings.initialPlayDelay);
         });
 
-        // Set up periodic play command
+        // Set up periodic play command; in census mode the census decides when to move
         setInterval(() => {
+            if (LobbyCensus.isEnabled()) return;
             if (Date.now() - this.lastPlayCommand >= config.timings.playCommandInterval) {
                 this.sendPlayCommand();
             }
@@ -76,7 +83,8 @@ const LobbyMonitor = {
 
         this.bot.on('playerLeft', (player) => {
             try {
-                if (!this.isInitializing && !this.isBot(player.username)) {
+                // mineflayer drops the tab list entry before playerLeft, so check the entry it passes
+                if (!this.isInitializing && !this.isBot(player.username, player)) {
                     this.handlePlayerLeave(player.username);
                 }
             } catch (error) {
@@ -158,12 +166,13 @@ const LobbyMonitor = {
 
     /**
      * Send the play command to join a new lobby
+     * @param {string} [command='/play pit'] - Command to send, e.g. one joining a specific lobby
      */
-    async sendPlayCommand() {
+    async sendPlayCommand(command = '/play pit') {
         try {
-            await this.bot.chat('/play pit');
+            await this.bot.chat(command);
             this.lastPlayCommand = Date.now();
-            logger.info('Sent play command');
+            logger.info(`Sent play command: ${command}`);
             this.reset(); // Reset state when changing lobbies
         } catch (error) {
             logger.error('Error sending play command:', error);
@@ -173,54 +182,13 @@ const LobbyMonitor = {
     /**
      * Check if a player is a bot/NPC
      * @param {string} username - Player username to check
+     * @param {Object} [player] - Tab list entry, looked up in bot.players by default
      * @returns {boolean} True if the player is a bot/NPC
      */
-    isBot(username) {
-        logger.debug(`Checking if ${username} is a bot/NPC...`);
-
-        // Don't filter out our own bot
-        if (username === this.bot.username) {
-            logger.debug(`${username} is the bot itself, not a bot/NPC`);
-            return false;
-        }
-
-        // Color code prefixes (§7, §e, etc.)
-        if (username.includes('§')) {
-            logger.debug(`${username} is a bot/NPC (contains color code)`);
-            return true;
-        }
-
-        // CIT- pattern bots
-        if (username.startsWith('CIT-')) {
-            logger.debug(`${username} is a bot/NPC (CIT- pattern)`);
-            return true;
-        }
-
-        // NPC tags
-        if (username.includes('[NPC]')) {
-            logger.debug(`${username} is a bot/NPC (contains [NPC] tag)`);
-            return true;
-        }
-
-        // Common bot name patterns
-        const botPatterns = [
-            /^Bot/i,          // Starts with "Bot"
-            /^NPC-/i,         // Starts with "NPC-"
-            /^vnL/i,          // Starts with "vnL"
-            /^[A-Z0-9]{8}$/,  // Random character sequences (e.g., "ABCD1234")
-            /^Pit(Bot|NPC)/i, // Starts with "PitBot" or "PitNPC"
-            /-[a-f0-9]{12}$/  // Hex suffix pattern (e.g., "Player-123abc456def")
-        ];
-
-        // Check if the username matches any bot pattern
-        const isBot = botPatterns.some(pattern => pattern.test(username));
-        if (isBot) {
-            logger.debug(`${username} is a bot/NPC (matches bot pattern)`);
-        } else {
-            logger.debug(`${username} is not a bot/NPC`);
-        }
-
-        return isBot;
+    isBot(username, player) {
+        const { isNpc, reason } = NpcFilter.check(username, player);
+        logger.debug(`${username} is ${isNpc ? '' : 'not '}a bot/NPC (${reason})`);
+        return isNpc;
     },
 
     /**
@@ -309,6 +277,8 @@ const LobbyMonitor = {
 
         this.players = currentPlayers;
         this.isScanning = false;
+        LobbyCensus.recordLobby(this.currentLobby, Array.from(this.players));
+        LobbyStats.recordSample(this.currentLobby, this.players.size);
 
         // Send updated lobby status if there were changes
         if (changes && !isInitialScan) {
@@ -338,8 +308,14 @@ const LobbyMonitor = {
                 lastSeen: Date.now()
             });
 
+            LobbyCensus.recordLobby(this.currentLobby, Array.from(this.players));
+
             logger.info(`Player joined: ${username}`);
-            ChatHandler.handleChat(`🟢 ${username} joined the lobby`);
+            LobbyDigest.addJoin(username);
+            Watchlist.notify(username, 'join', {
+                description: `${username} joined ${this.currentLobby || 'the lobby'}`,
+                lobby: this.currentLobby
+            });
         } else {
             logger.debug(`Ignoring join for ${username} (bot, during initialization, or lobby transition)`);
         }
@@ -350,7 +326,8 @@ const LobbyMonitor = {
      * @param {string} username - Username of leaving player
      */
     handlePlayerLeave(username) {
-        if (!this.isBot(username) && !this.isInitializing && !this.isLobbyTransition) {
+        // Only players that passed the NPC filter when they joined are tracked
+        if (this.players.has(username) && !this.isInitializing && !this.isLobbyTransition) {
             logger.debug(`Player left: ${username}`);
             this.players.delete(username);
             
@@ -361,17 +338,12 @@ const LobbyMonitor = {
                 lastSeen: Date.now()
             });
 
+            LobbyCensus.recordLobby(this.currentLobby, Array.from(this.players));
+
             logger.info(`Player left: ${username}`);
-            const embed = {
-                color: 0xff0000,
-                author: {
-                    name: "Player Update"
-                },
-                description: `🔴 ${username} left the lobby`
-            };
-            this.sendToDiscord(config.discord.channels.lobby, { embeds: [embed] });
+            LobbyDigest.addLeave(username);
         } else {
-            logger.debug(`Ignoring leave for ${username} (bot, during initialization, or lobby transition)`);
+            logger.debug(`Ignoring leave for ${username} (not tracked, during initialization, or lobby transition)`);
         }
     },
 
@@ -427,13 +399,9 @@ const LobbyMonitor = {
         });
 
         // Send or update the lobby status message
-        this.sendToDiscord(config.discord.channels.lobby, { 
-            embeds: [embed], 
-            messageId: this.lobbyMessageId // Include the message ID to update the existing message
-        }).then(message => {
-            if (message) {
-                this.lobbyMessageId = message.id; // Update the message ID for future updates
-            }
+        this.sendToDiscord(config.discord.channels.lobby, {
+            embeds: [embed],
+            messageKey: 'lobbyStatus'
         });
 
         logger.info('Sent lobby status update');
@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Service tracking the AUCTION minor event in a live Discord embed
+ */
+
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { dataPath, loadJson, saveJson } = require('../utils/jsonFile');
+
+const HISTORY_FILE = dataPath('auctionHistory.json');
+const MAX_HISTORY = 500;          // Oldest auctions are dropped beyond this
+const UPDATE_DELAY = 1000;        // Batch embed edits during bidding wars
+const ENDING_GRACE = 30000;       // Wait for winner messages after "ending now"
+const IDLE_TIMEOUT = 600000;      // Close auctions we never saw end after 10 minutes
+const SHOWN_BIDS = 5;             // Latest bids shown per item
+
+const AuctionTracker = {
+    current: null,
+    history: [],
+    updateTimeout: null,
+    finishTimeout: null,
+    idleTimeout: null,
+
+    /**
+     * Initialize the auction tracker
+     * @param {Function} sendToDiscord - Function to send messages to Discord
+     */
+    initialize(sendToDiscord) {
+        this.sendToDiscord = sendToDiscord;
+        this.history = loadJson(HISTORY_FILE, []);
+        logger.info(`Auction tracker initialized with ${this.history.length} stored auctions`);
+    },
+
+    /**
+     * Get the channel auctions are posted in
+     * @returns {string} Discord channel ID
+     */
+    getChannelId() {
+        return config.discord.channels.auctions || config.discord.channels.events;
+    },
+
+    /**
+     * Start tracking a new auction
+     */
+    start() {
+        if (this.current && !this.current.endedAt) return; // Duplicate start message
+
+        this.current = {
+            startedAt: Date.now(),
+            endedAt: null,
+            items: [],
+            messagePromise: null
+        };
+        this.current.messagePromise = this.sendToDiscord(this.getChannelId(), { embeds: [this.buildEmbed()] });
+        this.resetIdleTimeout();
+        logger.info('Auction started');
+    },
+
+    /**
+     * Make sure an auction is being tracked, e.g. when the bot joined mid-auction
+     */
+    ensureStarted() {
+        if (!this.current || this.current.endedAt) {
+            this.start();
+        }
+        this.resetIdleTimeout();
+    },
+
+    /**
+     * Get the item currently being auctioned
+     * @returns {Object|undefined} Auction item
+     */
+    currentItem() {
+        return this.current && this.current.items[this.current.items.length - 1];
+    },
+
+    /**
+     * Find an item by name, defaulting to the current item
+     * @param {string} [itemName] - Item name
+     * @returns {Object|undefined} Auction item
+     */
+    findItem(itemName) {
+        if (itemName) {
+            const item = this.current.items.find(entry => entry.item === itemName);
+            if (item) return item;
+        }
+        return this.currentItem();
+    },
+
+    /**
+     * Record an item being put up for auction
+     * @param {string} itemName - Item name
+     * @param {number|null} startingBid - Starting bid in gold
+     */
+    addItem(itemName, startingBid) {
+        this.ensureStarted();
+        this.current.items.push({
+            item: itemName,
+            startingBid,
+            bids: [],
+            winner: null,
+            price: null
+        });
+        this.scheduleUpdate();
+    },
+
+    /**
+     * Record a bid
+     * @param {string} player - Bidding player
+     * @param {number} amount - Bid in gold
+     * @param {string} [itemName] - Item, if the message named it
+     */
+    addBid(player, amount, itemName) {
+        this.ensureStarted();
+        let item = this.findItem(itemName);
+        if (!item) {
+            this.addItem(itemName || 'Unknown item', null);
+            item = this.currentItem();
+        }
+
+        item.bids.push({ player, amount, time: Date.now() });
+        this.scheduleUpdate();
+    },
+
+    /**
+     * Record an item's winner
+     * @param {string} player - Winning player
+     * @param {string} itemName - Item name
+     * @param {number} price - Winning bid in gold
+     */
+    setWinner(player, itemName, price) {
+        this.ensureStarted();
+        let item = this.findItem(itemName);
+        if (!item || item.winner) {
+            this.addItem(itemName, null);
+            item = this.currentItem();
+        }
+
+        item.winner = player;
+        item.price = price;
+        this.scheduleUpdate();
+
+        if (this.current.endedAt && this.current.items.every(entry => entry.winner)) {
+            this.finish();
+        }
+    },
+
+    /**
+     * Handle the end of the auction event; winners may still be announced afterwards
+     */
+    end() {
+        if (!this.current || this.current.endedAt) return;
+
+        this.current.endedAt = Date.now();
+        this.scheduleUpdate();
+
+        clearTimeout(this.finishTimeout);
+        this.finishTimeout = setTimeout(() => this.finish(), ENDING_GRACE);
+    },
+
+    /**
+     * Store the auction result and post the final embed
+     */
+    finish() {
+        if (!this.current) return;
+
+        clearTimeout(this.finishTimeout);
+        clearTimeout(this.idleTimeout);
+        const auction = this.current;
+        auction.endedAt = auction.endedAt || Date.now();
+
+        this.history.push({
+            startedAt: auction.startedAt,
+            endedAt: auction.endedAt,
+            items: auction.items.map(item => ({
+                item: item.item,
+                startingBid: item.startingBid,
+                bidCount: item.bids.length,
+                winner: item.winner,
+                price: item.price
+            }))
+        });
+        if (this.history.length > MAX_HISTORY) {
+            this.history.splice(0, this.history.length - MAX_HISTORY);
+        }
+        saveJson(HISTORY_FILE, this.history);
+
+        auction.finished = true;
+        this.updateMessage(auction);
+        this.current = null;
+        logger.info(`Auction finished with ${auction.items.length} items`);
+    },
+
+    /**
+     * Forget the tracked auction without storing it
+     */
+    reset() {
+        clearTimeout(this.updateTimeout);
+        clearTimeout(this.finishTimeout);
+        clearTimeout(this.idleTimeout);
+        this.updateTimeout = null;
+        this.current = null;
+    },
+
+    /**
+     * Restart the timer that closes auctions we never saw end
+     */
+    resetIdleTimeout() {
+        clearTimeout(this.idleTimeout);
+        this.idleTimeout = setTimeout(() => this.finish(), IDLE_TIMEOUT);
+    },
+
+    /**
+     * Schedule an edit of the live embed
+     */
+    scheduleUpdate() {
+        if (this.updateTimeout) return;
+
+        const auction = this.current;
+        this.updateTimeout = setTimeout(() => {
+            this.updateTimeout = null;
+            this.updateMessage(auction);
+        }, UPDATE_DELAY);
+    },
+
+    /**
+     * Edit the live embed of an auction
+     * @param {Object} auction - Tracked auction
+     */
+    async updateMessage(auction) {
+        try {
+            const message = await auction.messagePromise;
+            if (message && message.edit) {
+                await message.edit({ embeds: [this.buildEmbed(auction)] });
+            }
+        } catch (error) {
+            logger.error('Error updating auction embed:', error);
+        }
+    },
+
+    /**
+     * Build the auction embed
+     * @param {Object} [auction] - Tracked auction, defaults to the current one
+     * @returns {Object} Discord embed
+     */
+    buildEmbed(auction = this.current) {
+        const status = auction.finished ? 'Finished' : auction.endedAt ? 'Ending' : 'Live';
+        const embed = {
+            color: auction.finished ? 0x808080 : 0xffff00,
+            title: `🔨 Auction • ${status}`,
+            description: `Started <t:${Math.floor(auction.startedAt / 1000)}:R>`,
+            fields: []
+        };
+
+        for (const item of auction.items.slice(-25)) {
+            const lines = [];
+            if (item.startingBid) lines.push(`Starting bid: ${item.startingBid.toLocaleString('en-US')}g`);
+            for (const bid of item.bids.slice(-SHOWN_BIDS)) {
+                lines.push(`• ${bid.player}: ${bid.amount.toLocaleString('en-US')}g`);
+            }
+            if (item.winner) {
+                lines.push(`🏆 **${item.winner}** for ${item.price.toLocaleString('en-US')}g`);
+            }
+
+            embed.fields.push({
+                name: item.item,
+                value: lines.length > 0 ? lines.join('\n') : 'No bids yet',
+                inline: false
+            });
+        }
+
+        if (embed.fields.length === 0) {
+            embed.fields.push({ name: 'Items', value: 'Waiting for the first item…', inline: false });
+        }
+        return embed;
+    },
+
+    /**
+     * Get stored auction results, newest first
+     * @param {string} [itemFilter] - Only results whose item name contains this text
+     * @returns {Object[]} Item results with the auction end time
+     */
+    getResults(itemFilter) {
+        const filter = itemFilter ? itemFilter.toLowerCase() : null;
+        const results = [];
+
+        for (const auction of [...this.history].reverse()) {
+            for (const item of auction.items) {
+                if (!filter || item.item.toLowerCase().includes(filter)) {
+                    results.push({ ...item, endedAt: auction.endedAt });
+                }
+            }
+        }
+        return results;
+    }
+};
+
+module.exports = AuctionTracker;
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Service recording every booster activation and expiry for uptime analytics
+ */
+
+const logger = require('../utils/logger');
+const { dataPath, loadJson, saveJson } = require('../utils/jsonFile');
+
+const HISTORY_FILE = dataPath('boosterHistory.json');
+const MAX_HISTORY = 10000;           // Oldest entries are dropped beyond this
+const BOOSTER_DURATION = 1800000;    // Boosters without a recorded end count as running their full 30 minutes
+
+const DAY = 24 * 3600000;
+const WEEK = 7 * DAY;
+
+/**
+ * Get the part of a window covered by a set of intervals, counting overlaps once
+ * @param {Array<number[]>} intervals - [start, end] pairs
+ * @param {number} windowStart - Window start in milliseconds
+ * @param {number} windowEnd - Window end in milliseconds
+ * @returns {number} Covered share between 0 and 1
+ */
+function coveredShare(intervals, windowStart, windowEnd) {
+    const clipped = intervals
+        .map(([start, end]) => [Math.max(start, windowStart), Math.min(end, windowEnd)])
+        .filter(([start, end]) => end > start)
+        .sort((a, b) => a[0] - b[0]);
+
+    let covered = 0;
+    let coveredUntil = windowStart;
+    for (const [start, end] of clipped) {
+        if (end <= coveredUntil) continue;
+        covered += end - Math.max(start, coveredUntil);
+        coveredUntil = end;
+    }
+    return covered / (windowEnd - windowStart);
+}
+
+const BoosterHistory = {
+    // { type, player, multiplier, multiplierSource, startTime, endTime }
+    entries: [],
+
+    /**
+     * Initialize the booster history
+     */
+    initialize() {
+        this.entries = loadJson(HISTORY_FILE, []);
+        logger.info(`Booster history initialized with ${this.entries.length} recorded boosters`);
+    },
+
+    /**
+     * Save the history to file
+     */
+    saveState() {
+        if (this.entries.length > MAX_HISTORY) {
+            this.entries.splice(0, this.entries.length - MAX_HISTORY);
+        }
+        saveJson(HISTORY_FILE, this.entries);
+    },
+
+    /**
+     * Record a booster activation
+     * @param {Object} booster - Booster as stored by BoosterTracker
+     */
+    recordActivation({ type, player, multiplier, multiplierSource, startTime }) {
+        this.entries.push({ type, player, multiplier, multiplierSource, startTime, endTime: null });
+        this.saveState();
+    },
+
+    /**
+     * Record a booster expiry
+     * @param {string} type - Booster type
+     * @param {string} player - Player who activated the booster
+     * @param {number} [endTime] - Expiry time in milliseconds
+     * @param {Object} [booster] - Expired booster, whose multiplier and queued start may have been corrected since activation
+     */
+    recordExpiry(type, player, endTime = Date.now(), booster = null) {
+        // Boosters of one type expire in activation order, so the oldest open entry is the one ending
+        const entry = this.entries.find(item =>
+            item.type === type && item.player === player && item.endTime === null
+        );
+        if (!entry) return;
+
+        entry.endTime = endTime;
+        if (booster) {
+            entry.startTime = booster.startTime;
+            entry.multiplier = booster.multiplier;
+            entry.multiplierSource = booster.multiplierSource;
+        }
+        this.saveState();
+    },
+
+    /**
+     * Get the time a booster was active, assuming the full duration if its expiry wasn't seen
+     * @param {Object} entry - History entry
+     * @param {number} now - Current time in milliseconds
+     * @returns {number[]} [start, end] interval
+     */
+    getInterval(entry, now) {
+        return [entry.startTime, entry.endTime || Math.min(now, entry.startTime + BOOSTER_DURATION)];
+    },
+
+    /**
+     * Get the most common value in a list
+     * @param {Array} values - Values
+     * @returns {*} Most common value, or null for an empty list
+     */
+    mostCommon(values) {
+        const counts = new Map();
+        for (const value of values) {
+            counts.set(value, (counts.get(value) || 0) + 1);
+        }
+        let best = null;
+        for (const [value, count] of counts) {
+            if (best === null || count > counts.get(best)) best = value;
+        }
+        return best;
+    },
+
+    /**
+     * Get uptime and multiplier statistics per booster type
+     * @param {string[]} types - Booster types to include
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {Object[]} { type, count, dayShare, weekShare, commonMultiplier }
+     */
+    getTypeStats(types, now = Date.now()) {
+        return types.map(type => {
+            const entries = this.entries.filter(entry => entry.type === type);
+            const intervals = entries.map(entry => this.getInterval(entry, now));
+            const multipliers = entries.map(entry => entry.multiplier).filter(Boolean);
+
+            return {
+                type,
+                count: entries.length,
+                dayShare: coveredShare(intervals, now - DAY, now),
+                weekShare: coveredShare(intervals, now - WEEK, now),
+                commonMultiplier: this.mostCommon(multipliers)
+            };
+        });
+    },
+
+    /**
+     * Get the players who activated the most boosters
+     * @param {number} [limit] - Players returned
+     * @returns {Object[]} { player, count } sorted by count
+     */
+    getTopPlayers(limit = 10) {
+        const counts = new Map();
+        for (const entry of this.entries) {
+            counts.set(entry.player, (counts.get(entry.player) || 0) + 1);
+        }
+        return Array.from(counts, ([player, count]) => ({ player, count }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, limit);
+    }
+};
+
+module.exports = BoosterHistory;
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Service managing per-member booster subscriptions with type, multiplier and quiet hour filters
+ */
+
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const RoleManager = require('../discord/roleManager');
+const { dataPath, loadJson, saveJson } = require('../utils/jsonFile');
+
+const SUBSCRIPTIONS_FILE = dataPath('boosterSubscriptions.json');
+
+// Subscription key matching every booster type
+const ALL_TYPES = 'all';
+
+// Booster types that pinged the global boosters role before subscriptions existed; its holders keep these pings
+const LEGACY_PING_TYPES = ['bots', 'mining', 'farming', 'fishing', 'overflow'];
+const LEGACY_PING_COOLDOWN = 300000; // 5 minutes
+
+/**
+ * Parse quiet hours such as "22-7" (UTC)
+ * @param {string} value - Hour range
+ * @returns {Object|null} { start, end } hours, or null if the value is invalid
+ */
+function parseQuietHours(value) {
+    const match = /^\s*(\d{1,2})\s*-\s*(\d{1,2})\s*$/.exec(value || '');
+    if (!match) return null;
+
+    const start = parseInt(match[1], 10);
+    const end = parseInt(match[2], 10);
+    if (start > 23 || end > 23 || start === end) return null;
+    return { start, end };
+}
+
+/**
+ * Check whether a time falls within quiet hours
+ * @param {Object|null} quietHours - { start, end } hours in UTC
+ * @param {Date} date - Time to check
+ * @returns {boolean} True during quiet hours
+ */
+function isQuiet(quietHours, date) {
+    if (!quietHours) return false;
+
+    const hour = date.getUTCHours();
+    const { start, end } = quietHours;
+    return start < end
+        ? hour >= start && hour < end
+        : hour >= start || hour < end; // Range wraps past midnight
+}
+
+const BoosterSubscriptions = {
+    ALL_TYPES,
+    parseQuietHours,
+
+    // userId -> { type: { minMultiplier, method, quietHours } }
+    subscriptions: {},
+
+    // Filter key (see getFilterKey) -> managed role ID, held by every role subscriber with that filter
+    roles: {},
+
+    // Time of the last global boosters role ping
+    lastLegacyPing: 0,
+
+    discordClient: null,
+
+    /**
+     * Initialize booster subscriptions
+     * @param {Object} discordClient - Discord.js client instance
+     */
+    initialize(discordClient) {
+        this.discordClient = discordClient;
+        this.loadState();
+        logger.info(`Booster subscriptions initialized for ${Object.keys(this.subscriptions).length} members`);
+    },
+
+    /**
+     * Load subscriptions from file
+     */
+    loadState() {
+        const state = loadJson(SUBSCRIPTIONS_FILE, {});
+        this.subscriptions = state.subscriptions || {};
+        this.roles = state.roles || {};
+    },
+
+    /**
+     * Save subscriptions to file
+     */
+    saveState() {
+        saveJson(SUBSCRIPTIONS_FILE, {
+            subscriptions: this.subscriptions,
+            roles: this.roles
+        });
+    },
+
+    /**
+     * Get the key of a subscription's filter; subscribers with the same key share a role
+     * @param {string} type - Booster type or ALL
+     * @param {Object} subscription - Subscription
+     * @returns {string} Filter key such as "xp:2:22-7"
+     */
+    getFilterKey(type, { minMultiplier, quietHours }) {
+        return [
+            type,
+            minMultiplier || '',
+            quietHours ? `${quietHours.start}-${quietHours.end}` : ''
+        ].join(':');
+    },
+
+    /**
+     * Describe a subscription's filter
+     * @param {string} type - Booster type or ALL
+     * @param {Object} subscription - Subscription
+     * @returns {string[]} Description parts
+     */
+    describeFilter(type, { minMultiplier, quietHours }) {
+        const parts = [this.formatType(type)];
+        if (minMultiplier) parts.push(`${minMultiplier}x or more`);
+        if (quietHours) parts.push(`quiet ${quietHours.start}:00-${quietHours.end}:00 UTC`);
+        return parts;
+    },
+
+    /**
+     * Fetch or create the managed role of a subscription's filter
+     * @param {Object} guild - Discord guild
+     * @param {string} type - Booster type or ALL
+     * @param {Object} subscription - Subscription
+     * @returns {Promise<Object>} Discord role
+     */
+    async ensureFilterRole(guild, type, subscription) {
+        const key = this.getFilterKey(type, subscription);
+        const role = await RoleManager.ensureRole(guild, this.roles[key], `${this.describeFilter(type, subscription).join(' • ')} Ping`);
+        this.roles[key] = role.id;
+        return role;
+    },
+
+    /**
+     * Format a subscription type for display
+     * @param {string} type - Booster type or ALL
+     * @returns {string} Display name (e.g. "Mining boosters")
+     */
+    formatType(type) {
+        if (type === ALL_TYPES) return 'All boosters';
+        return `${type.charAt(0).toUpperCase()}${type.slice(1)} boosters`;
+    },
+
+    /**
+     * Subscribe a member to a booster type
+     * @param {Object} member - Discord guild member
+     * @param {string} type - Booster type or ALL
+     * @param {Object} options - Subscription options
+     * @param {number|null} options.minMultiplier - Lowest multiplier to be notified about
+     * @param {Object|null} options.quietHours - { start, end } hours in UTC without notifications
+     * @param {string} options.method - 'dm' or 'role'
+     */
+    async subscribe(member, type, { minMultiplier, quietHours, method }) {
+        const userSubscriptions = this.subscriptions[member.id] || {};
+        const previous = userSubscriptions[type];
+        const subscription = { minMultiplier, quietHours, method };
+
+        // Every filter has its own role, so pinging it only reaches the members whose filter matches
+        let roleId = null;
+        if (method === 'role') {
+            const role = await this.ensureFilterRole(member.guild, type, subscription);
+            await RoleManager.addRole(member, role);
+            roleId = role.id;
+        }
+        if (previous && previous.method === 'role') {
+            const previousRoleId = this.roles[this.getFilterKey(type, previous)];
+            if (previousRoleId !== roleId) {
+                await RoleManager.removeRole(member, previousRoleId);
+            }
+        }
+
+        userSubscriptions[type] = subscription;
+        this.subscriptions[member.id] = userSubscriptions;
+        this.saveState();
+        logger.info(`${member.user.tag} subscribed to ${type} boosters via ${method}`);
+    },
+
+    /**
+     * Unsubscribe a member from a booster type
+     * @param {Object} member - Discord guild member
+     * @param {string} type - Booster type or ALL
+     * @returns {Promise<boolean>} Whether the member was subscribed
+     */
+    async unsubscribe(member, type) {
+        const userSubscriptions = this.subscriptions[member.id];
+        if (!userSubscriptions || !userSubscriptions[type]) return false;
+
+        if (userSubscriptions[type].method === 'role') {
+            await RoleManager.removeRole(member, this.roles[this.getFilterKey(type, userSubscriptions[type])]);
+        }
+
+        delete userSubscriptions[type];
+        if (Object.keys(userSubscriptions).length === 0) {
+            delete this.subscriptions[member.id];
+        }
+        this.saveState();
+        logger.info(`${member.user.tag} unsubscribed from ${type} boosters`);
+        return true;
+    },
+
+    /**
+     * Describe a member's subscriptions for a reply
+     * @param {string} userId - Discord user ID
+     * @returns {string} One line per subscription
+     */
+    describeSubscriptions(userId) {
+        const entries = Object.entries(this.subscriptions[userId] || {});
+        if (entries.length === 0) {
+            return 'You are not subscribed to any boosters.';
+        }
+        return entries.map(([type, subscription]) => {
+            const parts = this.describeFilter(type, subscription);
+            parts.push(subscription.method === 'dm' ? 'DM' : 'role ping');
+            return `• ${parts.join(' • ')}`;
+        }).join('\n');
+    },
+
+    /**
+     * Check whether a subscription matches an activation
+     * @param {Object} subscription - Subscription
+     * @param {number|null} multiplier - Booster multiplier, null for overflow
+     * @param {Date} date - Activation time
+     * @returns {boolean} True if the subscriber should be notified
+     */
+    matches(subscription, multiplier, date) {
+        if (subscription.minMultiplier && multiplier !== null && multiplier < subscription.minMultiplier) {
+            return false;
+        }
+        return !isQuiet(subscription.quietHours, date);
+    },
+
+    /**
+     * Notify a booster activation's subscribers: DM subscribers get the embed directly, and the
+     * returned mentions of the matching filter roles should be posted along with the announcement.
+     * Holders of the global boosters role keep their pings for the types they were pinged for before.
+     * @param {string} type - Booster type
+     * @param {number|null} multiplier - Booster multiplier, null for overflow
+     * @param {Object} embed - Activation embed
+     * @returns {string|undefined} Role mentions for the announcement content
+     */
+    notify(type, multiplier, embed) {
+        const now = new Date();
+        const roleMentions = new Set();
+        const dmRecipients = new Set(); // A member subscribed to both the type and all boosters gets one DM
+
+        for (const [userId, userSubscriptions] of Object.entries(this.subscriptions)) {
+            for (const key of [type, ALL_TYPES]) {
+                const subscription = userSubscriptions[key];
+                if (!subscription || !this.matches(subscription, multiplier, now)) continue;
+
+                if (subscription.method === 'dm') {
+                    dmRecipients.add(userId);
+                } else {
+                    const roleId = this.roles[this.getFilterKey(key, subscription)];
+                    if (roleId) roleMentions.add(`<@&${roleId}>`);
+                }
+            }
+        }
+        dmRecipients.forEach(userId => this.sendDirectMessage(userId, embed));
+
+        if (LEGACY_PING_TYPES.includes(type) && now.getTime() - this.lastLegacyPing >= LEGACY_PING_COOLDOWN) {
+            roleMentions.add(`<@&${config.discord.roles.boosters}>`);
+            this.lastLegacyPing = now.getTime();
+        }
+
+        return roleMentions.size > 0 ? Array.from(roleMentions).join(' ') : undefined;
+    },
+
+    /**
+     * Send a booster notification by DM
+     * @param {string} userId - Discord user ID
+     * @param {Object} embed - Notification embed
+     */
+    async sendDirectMessage(userId, embed) {
+        if (!this.discordClient) return;
+
+        try {
+            const user = await this.discordClient.users.fetch(userId);
+            await user.send({ embeds: [embed] });
+        } catch (error) {
+            logger.warn(`Could not send booster notification to ${userId}: ${error.message}`);
+        }
+    }
+};
+
+module.exports = BoosterSubscriptions;
@@ -4,23 +4,42 @@
 
 const { getTimeAndCountdown, getRelativeTime } = require('../utils/timestamp');
 const logger = require('../utils/logger');
-const fs = require('fs');
+const config = require('../utils/config');
+const BoosterHistory = require('./boosterHistory');
+const { dataPath, loadJson, saveJson } = require('../utils/jsonFile');
 const path = require('path');
 
 const BOOSTER_DURATION = 1800000; // 30 minutes in milliseconds
 const CLEANUP_INTERVAL = 60000;   // Clean up every minute
 const BOOSTER_STATE_FILE = path.join(__dirname, 'boosterState.json');
+const AVAILABILITY_FILE = dataPath('boosterAvailability.json');
+const AVAILABLE_NOTICE_WINDOW = 300000; // Slots that freed up longer ago (e.g. while offline) get no notice
 
 const BoosterTracker = {
     // All possible booster types
     BOOSTER_TYPES: ['xp', 'coin', 'bots', 'overflow', 'fishing', 'mining', 'farming'],
     
-    // Active boosters map: type -> booster info
+    // Booster queues: type -> boosters ordered by start time. The first entry is running, later
+    // entries were activated while it ran and start when the one before them expires.
     activeBoosters: new Map(),
 
     // Valid multiplier values (except overflow which has no multiplier)
     VALID_MULTIPLIERS: [2.0, 2.2, 2.4, 2.6, 2.8, 3.0],
 
+    // Time each inactive type became free to buy: type -> milliseconds
+    freeSince: {},
+
+    // Timers firing when the running booster of a type is predicted to expire: type -> timeout
+    expiryTimers: new Map(),
+
+    // Functions called whenever the set of active boosters changes
+    changeListeners: [],
+
+    // Slots that should trigger a role ping when they become free
+    AVAILABLE_PING_TYPES: ['xp', 'coin', 'overflow'],
+    AVAILABLE_PING_COOLDOWN: 600000, // 10 minutes between availability pings
+    lastAvailablePing: 0,
+
     /**
      * Format booster type for display
      * @param {string} type - Booster type
@@ -34,54 +53,50 @@ const BoosterTracker = {
      * Load booster state from file
      */
     loadState() {
-        try {
-            if (fs.existsSync(BOOSTER_STATE_FILE)) {
-                const data = fs.readFileSync(BOOSTER_STATE_FILE, 'utf8');
-                const state = JSON.parse(data);
-                
-                // Convert expiryTime to Date objects
-                for (const [type, booster] of Object.entries(state)) {
-                    if (booster && booster.expiryTime) {
-                        this.activeBoosters.set(type, {
-                            ...booster,
-                            expiryTime: new Date(booster.expiryTime)
-                        });
-                    }
-                }
-                logger.info('Loaded booster state from file');
+        const state = loadJson(BOOSTER_STATE_FILE, {});
+
+        // Older state files hold a single booster per type instead of a queue
+        const queues = state.queues || Object.fromEntries(
+            Object.entries(state).filter(([, booster]) => booster).map(([type, booster]) => [type, [booster]])
+        );
+
+        for (const [type, queue] of Object.entries(queues)) {
+            const boosters = queue
+                .filter(booster => booster && booster.expiryTime)
+                .map(booster => {
+                    const expiryTime = new Date(booster.expiryTime).getTime();
+                    return {
+                        ...booster,
+                        startTime: booster.startTime || expiryTime - BOOSTER_DURATION,
+                        expiryTime
+                    };
+                });
+            if (boosters.length > 0) {
+                this.activeBoosters.set(type, boosters);
             }
-        } catch (error) {
-            logger.error('Error loading booster state:', error);
         }
+        logger.info(`Loaded booster state with ${this.activeBoosters.size} active booster types`);
     },
 
     /**
      * Save booster state to file
      */
     saveState() {
-        try {
-            const state = {};
-            for (const [type, booster] of this.activeBoosters.entries()) {
-                if (booster && booster.expiryTime) {
-                    state[type] = {
-                        ...booster,
-                        expiryTime: booster.expiryTime instanceof Date ? 
-                            booster.expiryTime.toISOString() : 
-                            new Date(booster.expiryTime).toISOString()
-                    };
-                }
-            }
-            fs.writeFileSync(BOOSTER_STATE_FILE, JSON.stringify(state, null, 2));
-        } catch (error) {
-            logger.error('Error saving booster state:', error);
-        }
+        saveJson(BOOSTER_STATE_FILE, { queues: Object.fromEntries(this.activeBoosters) });
     },
 
     /**
      * Initialize the booster tracker
+     * @param {Function} sendToDiscord - Function to send messages to Discord
      */
-    initialize() {
+    initialize(sendToDiscord) {
+        this.sendToDiscord = sendToDiscord;
+        this.freeSince = loadJson(AVAILABILITY_FILE, {});
         this.loadState();
+        for (const type of this.activeBoosters.keys()) {
+            this.scheduleExpiry(type);
+        }
+
         // Clean up expired boosters periodically
         setInterval(() => {
             this.cleanupExpiredBoosters();
@@ -91,19 +106,29 @@ const BoosterTracker = {
     },
 
     /**
-     * Add or update a booster
+     * Get the queue of a booster type
+     * @param {string} type - Normalized booster type
+     * @returns {Object[]} Boosters ordered by start time, running one first
+     */
+    getQueue(type) {
+        return this.activeBoosters.get(type) || [];
+    },
+
+    /**
+     * Add a booster, queued behind the boosters of the same type that are still running or queued
      * @param {string} type - Booster type
      * @param {string} player - Player who activated
      * @param {number} [multiplier] - Booster multiplier (2.0-3.0 in 0.2 increments), optional for overflow
-     * @returns {boolean} Whether the booster was successfully added
+     * @param {string|null} [multiplierSource] - Where the multiplier came from ('title' or 'default')
+     * @returns {Object|null} The tracked booster, or null if the type is invalid
      */
-    addBooster(type, player, multiplier = 2.0) {
+    addBooster(type, player, multiplier = 2.0, multiplierSource = null) {
         const normalizedType = this.normalizeBoosterType(type);
         
         // Validate booster type
         if (!this.BOOSTER_TYPES.includes(normalizedType)) {
             logger.warn(`Invalid booster type: ${type}`);
-            return false;
+            return null;
         }
 
         // Validate multiplier for non-overflow boosters
@@ -111,54 +136,221 @@ const BoosterTracker = {
             if (!this.VALID_MULTIPLIERS.includes(multiplier)) {
                 logger.warn(`Invalid multiplier value: ${multiplier}. Using default 2.0x`);
                 multiplier = 2.0;
+                multiplierSource = 'default';
             }
         }
 
-        // Check if there's already an active booster of this type
-        const existingBooster = this.activeBoosters.get(normalizedType);
-        if (existingBooster && Date.now() < existingBooster.expiryTime) {
-            logger.warn(`Booster of type ${normalizedType} is already active`);
-            return false;
-        }
+        const now = Date.now();
+        const queue = this.getQueue(normalizedType).filter(booster => booster.expiryTime > now);
+        const last = queue[queue.length - 1];
+        const startTime = last ? last.expiryTime : now;
 
-        const startTime = Date.now();
-        this.activeBoosters.set(normalizedType, {
+        const booster = {
             type: normalizedType,
             player: player.trim(),  // Ensure clean player name
             multiplier: normalizedType === 'overflow' ? null : multiplier,
+            multiplierSource: normalizedType === 'overflow' ? null : multiplierSource,
+            activatedAt: now,
             startTime,
             expiryTime: startTime + BOOSTER_DURATION
-        });
+        };
+        queue.push(booster);
+        this.activeBoosters.set(normalizedType, queue);
+        this.saveState();
 
-        logger.info(`Booster added: ${normalizedType}${multiplier ? ` (${multiplier}x)` : ''} by ${player}`);
-        return true;
+        BoosterHistory.recordActivation(booster);
+        delete this.freeSince[normalizedType];
+        saveJson(AVAILABILITY_FILE, this.freeSince);
+        this.scheduleExpiry(normalizedType);
+        this.notifyChange();
+
+        logger.info(`Booster added: ${normalizedType}${multiplier ? ` (${multiplier}x)` : ''} by ${player}` +
+            (queue.length > 1 ? `, queued at position ${queue.length}` : ''));
+        return booster;
     },
 
     /**
-     * Remove a booster
+     * Remove a booster after its expiry message
      * @param {string} type - Booster type
      * @param {string} player - Player who activated
+     * @param {number|null} [multiplier] - Multiplier from the expiry message, used to pick between boosters of the same player
      * @returns {boolean} Whether the booster was successfully removed
      */
-    removeBooster(type, player) {
+    removeBooster(type, player, multiplier = null) {
         const normalizedType = this.normalizeBoosterType(type);
-        const booster = this.activeBoosters.get(normalizedType);
-        
+        const queue = this.getQueue(normalizedType);
+        const playerName = player.trim();
+
+        const candidates = queue.filter(booster => booster.player === playerName);
+        const booster = candidates.find(entry => multiplier === null || entry.multiplier === multiplier) || candidates[0];
+
         if (!booster) {
-            logger.warn(`No active booster found of type: ${normalizedType}`);
+            logger.warn(queue.length > 0
+                ? `Player mismatch for booster removal: ${player} not in ${normalizedType} queue (${queue.map(entry => entry.player).join(', ')})`
+                : `No active booster found of type: ${normalizedType}`);
             return false;
         }
 
-        if (booster.player !== player.trim()) {
-            logger.warn(`Player mismatch for booster removal: ${player} vs ${booster.player}`);
-            return false;
+        // The expiry message shows the real multiplier, e.g. when the title was missed or mismatched
+        if (multiplier !== null && booster.multiplier !== null && booster.multiplier !== multiplier) {
+            logger.info(`Correcting ${normalizedType} booster by ${booster.player} from ${booster.multiplier}x ` +
+                `(${booster.multiplierSource || 'unknown'}) to ${multiplier}x from its expiry message`);
+            booster.multiplier = multiplier;
+            booster.multiplierSource = 'expiry';
+        }
+
+        const now = Date.now();
+        const index = queue.indexOf(booster);
+        queue.splice(index, 1);
+
+        // The running booster ended, so the queued ones start now rather than when we predicted
+        if (index === 0) {
+            this.rescheduleQueue(queue, now);
         }
 
-        this.activeBoosters.delete(normalizedType);
+        BoosterHistory.recordExpiry(normalizedType, booster.player, now, booster);
         logger.info(`Booster removed: ${normalizedType}${booster.multiplier ? ` (${booster.multiplier}x)` : ''} by ${player}`);
+        this.updateQueue(normalizedType, queue, now);
+        return true;
+    },
+
+    /**
+     * Recompute start and expiry times of queued boosters after the running one ended
+     * @param {Object[]} queue - Remaining boosters
+     * @param {number} startTime - Start time of the first remaining booster
+     */
+    rescheduleQueue(queue, startTime) {
+        let nextStart = startTime;
+        for (const booster of queue) {
+            booster.startTime = nextStart;
+            booster.expiryTime = nextStart + BOOSTER_DURATION;
+            nextStart = booster.expiryTime;
+        }
+    },
+
+    /**
+     * Store a changed queue, announcing the free slot if it became empty
+     * @param {string} type - Normalized booster type
+     * @param {Object[]} queue - Boosters left in the queue
+     * @param {number} time - Time of the change in milliseconds
+     */
+    updateQueue(type, queue, time) {
+        if (queue.length > 0) {
+            this.activeBoosters.set(type, queue);
+            this.scheduleExpiry(type);
+        } else {
+            this.activeBoosters.delete(type);
+            this.markAvailable(type, time);
+        }
+        this.saveState();
+        this.notifyChange();
+    },
+
+    /**
+     * Register a function to call whenever the set of active boosters changes
+     * @param {Function} listener - Change listener
+     */
+    onChange(listener) {
+        this.changeListeners.push(listener);
+    },
+
+    /**
+     * Call the change listeners
+     */
+    notifyChange() {
+        for (const listener of this.changeListeners) {
+            try {
+                listener();
+            } catch (error) {
+                logger.error('Error in booster change listener:', error);
+            }
+        }
+    },
+
+    /**
+     * Set a timer for when the running booster of a type is predicted to expire, so the queue
+     * advances and the free slot is announced even if the expiry message is missed
+     * @param {string} type - Normalized booster type
+     */
+    scheduleExpiry(type) {
+        clearTimeout(this.expiryTimers.get(type));
+        this.expiryTimers.delete(type);
+
+        const [running] = this.getQueue(type);
+        if (!running) return;
+
+        this.expiryTimers.set(type, setTimeout(() => {
+            this.expiryTimers.delete(type);
+            this.cleanupExpiredBoosters();
+        }, Math.max(0, running.expiryTime - Date.now())));
+    },
+
+    /**
+     * Record that a booster slot became free and announce it
+     * @param {string} type - Booster type
+     * @param {number} time - Time the slot became free in milliseconds
+     */
+    markAvailable(type, time) {
+        if (this.freeSince[type]) return; // Already announced
+        this.freeSince[type] = time;
+        saveJson(AVAILABILITY_FILE, this.freeSince);
+
+        if (this.sendToDiscord && Date.now() - time < AVAILABLE_NOTICE_WINDOW) {
+            this.sendAvailableNotice(type, time);
+        }
+    },
+
+    /**
+     * Check if a free slot should ping the availability role
+     * @param {string} type - Booster type
+     * @returns {boolean} Whether to send ping
+     */
+    shouldPingAvailable(type) {
+        const roleId = config.discord.roles.boosterAvailable || config.discord.roles.boosters;
+        if (!roleId || !this.AVAILABLE_PING_TYPES.includes(type)) return false;
+
+        const now = Date.now();
+        if (now - this.lastAvailablePing < this.AVAILABLE_PING_COOLDOWN) {
+            logger.info(`Skipping booster availability ping due to cooldown (${Math.floor((now - this.lastAvailablePing) / 1000)}s elapsed)`);
+            return false;
+        }
+
+        this.lastAvailablePing = now;
         return true;
     },
 
+    /**
+     * Post an "available now" notice for a free booster slot
+     * @param {string} type - Booster type
+     * @param {number} time - Time the slot became free in milliseconds
+     */
+    sendAvailableNotice(type, time) {
+        const embed = {
+            color: 0x00aaff,
+            title: '🟢 Booster Available',
+            description: `**${this.formatBoosterType(type)}** is free to activate (since <t:${Math.floor(time / 1000)}:R>)`
+        };
+        const content = this.shouldPingAvailable(type)
+            ? `<@&${config.discord.roles.boosterAvailable || config.discord.roles.boosters}>`
+            : undefined;
+
+        this.sendToDiscord(config.discord.channels.boosters, { content, embeds: [embed] });
+        logger.info(`Booster slot available: ${type}`);
+    },
+
+    /**
+     * Forget all boosters, free slots and timers without saving
+     */
+    reset() {
+        for (const timer of this.expiryTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.expiryTimers.clear();
+        this.activeBoosters.clear();
+        this.freeSince = {};
+        this.lastAvailablePing = 0;
+    },
+
     /**
      * Clean up expired boosters
      */
@@ -166,22 +358,37 @@ const BoosterTracker = {
         const now = Date.now();
         let cleaned = 0;
 
-        for (const [type, booster] of this.activeBoosters.entries()) {
-            if (now >= booster.expiryTime) {
-                this.activeBoosters.delete(type);
+        for (const [type, queue] of this.activeBoosters.entries()) {
+            const expired = queue.filter(booster => now >= booster.expiryTime);
+            if (expired.length === 0) continue;
+
+            for (const booster of expired) {
+                BoosterHistory.recordExpiry(type, booster.player, booster.expiryTime, booster);
                 logger.info(`Booster expired: ${type}${booster.multiplier ? ` (${booster.multiplier}x)` : ''} by ${booster.player}`);
-                cleaned++;
+            }
+            cleaned += expired.length;
+
+            const remaining = queue.filter(booster => now < booster.expiryTime);
+            if (remaining.length > 0) {
+                this.activeBoosters.set(type, remaining);
+                this.scheduleExpiry(type);
+            } else {
+                this.activeBoosters.delete(type);
+                this.markAvailable(type, expired[expired.length - 1].expiryTime);
             }
         }
 
         if (cleaned > 0) {
             logger.info(`Cleaned up ${cleaned} expired boosters`);
+            this.saveState();
+            this.notifyChange();
         }
     },
 
     /**
      * Get all booster states
-     * @returns {Object} Object containing active and inactive boosters
+     * @returns {Object} Running boosters with the boosters queued behind them, and inactive types
+     *     with the time they became free
      */
     getBoosterStates() {
         this.cleanupExpiredBoosters();
@@ -191,15 +398,20 @@ const BoosterTracker = {
         
         // Check each booster type
         for (const type of this.BOOSTER_TYPES) {
-            const booster = this.activeBoosters.get(type);
-            if (booster && Date.now() < booster.expiryTime) {
+            const [running, ...queued] = this.getQueue(type);
+            if (running) {
                 active.push({
-                    ...booster,
+                    ...running,
                     displayType: this.formatBoosterType(type),
-                    timeRemaining: getRelativeTime(booster.expiryTime)
+                    timeRemaining: getRelativeTime(running.expiryTime),
+                    queued
                 });
             } else {
-                inactive.push(this.formatBoosterType(type));
+                inactive.push({
+                    type,
+                    displayType: this.formatBoosterType(type),
+                    freeSince: this.freeSince[type] || null
+                });
             }
         }
 
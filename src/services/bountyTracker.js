@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Service keeping a live board of bounties broadcast in Pit chat
+ */
+
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const PlayerDataStore = require('../utils/playerDataStore');
+const DiscordOutput = require('../discord/discordOutput');
+const { dataPath, loadJson, saveJson } = require('../utils/jsonFile');
+
+const BOUNTIES_FILE = dataPath('bounties.json');
+const CLEANUP_INTERVAL = 60000;   // Check for stale bounties every minute
+const STALE_AFTER = 3600000;      // Drop bounties not seen for an hour (player left or died unseen)
+const MAX_SHOWN = 25;             // Bounties listed on the board
+
+const BountyTracker = {
+    // Player name -> { player, amount, reason, placedAt, updatedAt }
+    bounties: {},
+
+    /**
+     * Initialize the bounty tracker
+     * @param {Function} sendToDiscord - Function to send messages to Discord
+     */
+    initialize(sendToDiscord) {
+        this.sendToDiscord = sendToDiscord;
+        this.bounties = loadJson(BOUNTIES_FILE, {});
+        this.removeStaleBounties();
+
+        setInterval(() => this.removeStaleBounties(), CLEANUP_INTERVAL);
+        logger.info(`Bounty tracker initialized with ${Object.keys(this.bounties).length} active bounties`);
+    },
+
+    /**
+     * Save bounties to file
+     */
+    saveState() {
+        saveJson(BOUNTIES_FILE, this.bounties);
+    },
+
+    /**
+     * Get the channel the bounty board is posted in
+     * @returns {string} Discord channel ID
+     */
+    getChannelId() {
+        return config.discord.channels.bounties || config.discord.channels.events;
+    },
+
+    /**
+     * Record a new bounty on a player
+     * @param {string} player - Player with the bounty
+     * @param {number} amount - Bounty in gold
+     * @param {string} [reason] - Reason given in chat (e.g. "high streak")
+     */
+    placeBounty(player, amount, reason) {
+        const now = Date.now();
+        this.bounties[player] = {
+            player,
+            amount,
+            reason: reason || null,
+            placedAt: now,
+            updatedAt: now
+        };
+        this.saveState();
+        this.scheduleBoardUpdate();
+        logger.info(`Bounty of ${amount}g placed on ${player}`);
+    },
+
+    /**
+     * Add a bump to a player's bounty
+     * @param {string} player - Player with the bounty
+     * @param {number} amount - Gold added to the bounty
+     * @param {string} [reason] - Reason given in chat
+     */
+    bumpBounty(player, amount, reason) {
+        const bounty = this.bounties[player];
+        if (!bounty) {
+            // First sighting, e.g. the bot joined after the bounty was placed
+            this.placeBounty(player, amount, reason);
+            return;
+        }
+
+        bounty.amount += amount;
+        bounty.reason = reason || bounty.reason;
+        bounty.updatedAt = Date.now();
+        this.saveState();
+        this.scheduleBoardUpdate();
+        logger.info(`Bounty on ${player} bumped by ${amount}g to ${bounty.amount}g`);
+    },
+
+    /**
+     * Record a claimed bounty and announce it
+     * @param {string} killer - Player who claimed the bounty
+     * @param {string} victim - Player whose bounty was claimed
+     * @param {number} amount - Gold claimed
+     */
+    claimBounty(killer, victim, amount) {
+        delete this.bounties[victim];
+        this.saveState();
+        this.scheduleBoardUpdate();
+
+        const embed = {
+            color: 0xffaa00,
+            title: '💀 Bounty Claimed',
+            description: `**${PlayerDataStore.formatPlayer(killer)}** claimed **${amount.toLocaleString('en-US')}g** on **${PlayerDataStore.formatPlayer(victim)}**`,
+            timestamp: new Date().toISOString()
+        };
+        this.sendToDiscord(this.getChannelId(), { embeds: [embed] });
+        logger.info(`${killer} claimed ${amount}g bounty on ${victim}`);
+    },
+
+    /**
+     * Remove bounties that haven't been updated for a while
+     */
+    removeStaleBounties() {
+        const cutoff = Date.now() - STALE_AFTER;
+        const stale = Object.values(this.bounties).filter(bounty => bounty.updatedAt < cutoff);
+        if (stale.length === 0) return;
+
+        for (const bounty of stale) {
+            delete this.bounties[bounty.player];
+        }
+        this.saveState();
+        this.scheduleBoardUpdate();
+        logger.info(`Removed ${stale.length} stale bounties`);
+    },
+
+    /**
+     * Get active bounties, largest first
+     * @returns {Object[]} Bounties
+     */
+    getBounties() {
+        return Object.values(this.bounties).sort((a, b) => b.amount - a.amount);
+    },
+
+    /**
+     * Build the bounty board embed
+     * @returns {Object} Discord embed
+     */
+    buildBoardEmbed() {
+        const bounties = this.getBounties();
+        const lines = bounties.slice(0, MAX_SHOWN).map(bounty =>
+            `**${PlayerDataStore.formatPlayer(bounty.player)}** • ${bounty.amount.toLocaleString('en-US')}g • updated <t:${Math.floor(bounty.updatedAt / 1000)}:R>`
+        );
+        if (bounties.length > MAX_SHOWN) {
+            lines.push(`…and ${bounties.length - MAX_SHOWN} more`);
+        }
+
+        return {
+            color: 0xffaa00,
+            title: '💰 Bounty Board',
+            description: lines.length > 0 ? lines.join('\n') : 'No active bounties.',
+            timestamp: new Date().toISOString()
+        };
+    },
+
+    /**
+     * Schedule a board edit, batched with the other bumps that arrive at once
+     */
+    scheduleBoardUpdate() {
+        DiscordOutput.scheduleEdit('bountyBoard', this.sendToDiscord, this.getChannelId(), () => ({
+            embeds: [this.buildBoardEmbed()]
+        }));
+    },
+
+    /**
+     * Forget all bounties without saving
+     */
+    reset() {
+        DiscordOutput.cancelEdit('bountyBoard');
+        this.bounties = {};
+    }
+};
+
+module.exports = BountyTracker;
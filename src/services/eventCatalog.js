@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Catalog of known Pit events, loaded from data/eventCatalog.json
+ *
+ * Each event defines its category (MAJOR or MINOR), expected duration, embed color, emoji
+ * and ping policy ("subscribers" notifies subscribed members, "none" never pings). An event
+ * with a "pattern" (a case-insensitive regular expression) also matches names that vary in
+ * chat, e.g. the different 2X events.
+ */
+
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { dataPath, loadJson } = require('../utils/jsonFile');
+
+const CATALOG_FILE = dataPath('eventCatalog.json');
+
+// Used when the catalog file lacks a category
+const DEFAULT_CATEGORIES = {
+    MAJOR: { color: '#ff0000', emoji: '🔥' },
+    MINOR: { color: '#ffff00', emoji: '📢' }
+};
+
+/**
+ * Convert a "#rrggbb" color to an embed color
+ * @param {string|number} color - Hex color string or number
+ * @returns {number} Embed color
+ */
+function parseColor(color) {
+    return typeof color === 'number' ? color : parseInt(String(color).replace('#', ''), 16);
+}
+
+const EventCatalog = {
+    categories: {},
+    events: new Map(),   // Upper case name or alias -> event definition
+    patterns: [],        // { regex, definition } for events with a name pattern
+    alertedNames: new Set(),
+
+    /**
+     * Initialize unknown event alerts
+     * @param {Function} sendToDiscord - Function to send messages to Discord
+     */
+    initialize(sendToDiscord) {
+        this.sendToDiscord = sendToDiscord;
+    },
+
+    /**
+     * Load the catalog from file
+     */
+    load() {
+        const catalog = loadJson(CATALOG_FILE, {});
+        this.categories = { ...DEFAULT_CATEGORIES, ...(catalog.categories || {}) };
+        this.events.clear();
+        this.patterns = [];
+
+        for (const event of catalog.events || []) {
+            const definition = {
+                ping: 'subscribers',
+                aliases: [],
+                ...event,
+                name: event.name.toUpperCase()
+            };
+            for (const key of [definition.name, ...definition.aliases]) {
+                this.events.set(key.toUpperCase(), definition);
+            }
+            if (definition.pattern) {
+                this.patterns.push({ regex: new RegExp(definition.pattern, 'i'), definition });
+            }
+        }
+
+        logger.info(`Loaded ${this.getEventNames().length} events from the event catalog`);
+    },
+
+    /**
+     * Look up an event
+     * @param {string} name - Event name as seen in chat
+     * @returns {Object|undefined} Event definition
+     */
+    getEvent(name) {
+        const key = name.trim().toUpperCase();
+        const pattern = this.events.has(key) ? null : this.patterns.find(({ regex }) => regex.test(key));
+        return this.events.get(key) || (pattern && pattern.definition);
+    },
+
+    /**
+     * Get the names of all cataloged events
+     * @param {Object} [filter] - Optional filter
+     * @param {boolean} [filter.pingable] - Only events whose ping policy allows notifications
+     * @returns {string[]} Event names
+     */
+    getEventNames({ pingable = false } = {}) {
+        const definitions = new Set(this.events.values());
+        return Array.from(definitions)
+            .filter(event => !pingable || event.ping !== 'none')
+            .map(event => event.name);
+    },
+
+    /**
+     * Get an event's category
+     * @param {string} name - Event name
+     * @param {string} [fallback='MINOR'] - Category for unknown events
+     * @returns {string} MAJOR or MINOR
+     */
+    getCategory(name, fallback = 'MINOR') {
+        const event = this.getEvent(name);
+        return event ? event.category : fallback;
+    },
+
+    /**
+     * Get an event's embed color
+     * @param {string} name - Event name
+     * @param {string} category - Category used for unknown events
+     * @returns {number} Embed color
+     */
+    getColor(name, category) {
+        const event = this.getEvent(name);
+        const categoryStyle = this.categories[event ? event.category : category] || DEFAULT_CATEGORIES.MINOR;
+        return parseColor((event && event.color) || categoryStyle.color);
+    },
+
+    /**
+     * Get an event's emoji
+     * @param {string} name - Event name
+     * @param {string} category - Category used for unknown events
+     * @returns {string} Emoji
+     */
+    getEmoji(name, category) {
+        const event = this.getEvent(name);
+        const categoryStyle = this.categories[event ? event.category : category] || DEFAULT_CATEGORIES.MINOR;
+        return (event && event.emoji) || categoryStyle.emoji;
+    },
+
+    /**
+     * Get an event's expected duration
+     * @param {string} name - Event name
+     * @returns {number|null} Duration in milliseconds, or null if unknown
+     */
+    getExpectedDuration(name) {
+        const event = this.getEvent(name);
+        return event && event.expectedDurationMinutes ? event.expectedDurationMinutes * 60000 : null;
+    },
+
+    /**
+     * Check whether subscribers should be notified about an event
+     * @param {string} name - Event name
+     * @returns {boolean} Whether the ping policy allows notifications
+     */
+    shouldNotify(name) {
+        const event = this.getEvent(name);
+        return !event || event.ping !== 'none';
+    },
+
+    /**
+     * Check that an event is in the catalog and alert the admins if it isn't
+     * @param {string} name - Event name as seen in chat
+     * @param {string} category - Category the message implied
+     * @param {string} message - Chat message the name came from
+     * @returns {boolean} Whether the event is known
+     */
+    checkKnown(name, category, message) {
+        if (this.getEvent(name)) return true;
+
+        const eventName = name.trim().toUpperCase();
+        if (this.alertedNames.has(eventName)) return false;
+        this.alertedNames.add(eventName);
+
+        logger.warn(`Unknown event "${eventName}" seen in chat: ${message}`);
+        if (!config.discord.channels.adminAlerts || !this.sendToDiscord) return false;
+
+        const embed = {
+            color: 0xff8800,
+            title: '❓ Unknown Event',
+            description: `**${eventName}** is not in the event catalog. Add it to \`src/data/eventCatalog.json\` so it gets the right category, color and pings.`,
+            fields: [
+                { name: 'Seen as', value: category || 'unknown', inline: true },
+                { name: 'Message', value: message.slice(0, 1024), inline: false }
+            ]
+        };
+        this.sendToDiscord(config.discord.channels.adminAlerts, { embeds: [embed] });
+        return false;
+    }
+};
+
+EventCatalog.load();
+
+module.exports = EventCatalog;
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Service recording the start and end of every Pit event for analytics
+ */
+
+const logger = require('../utils/logger');
+const { dataPath, loadJson, saveJson } = require('../utils/jsonFile');
+
+const HISTORY_FILE = dataPath('eventHistory.json');
+const MAX_HISTORY = 5000;          // Oldest entries are dropped beyond this
+const MAX_EVENT_DURATION = 3600000; // Starts without an end for an hour are closed without a duration
+
+const EventHistory = {
+    // Events that started but haven't ended yet, keyed by name
+    openEvents: {},
+
+    // Finished events: { name, type, startTime, endTime, duration }
+    history: [],
+
+    /**
+     * Initialize the event history
+     */
+    initialize() {
+        this.loadState();
+        logger.info(`Event history initialized with ${this.history.length} recorded events`);
+    },
+
+    /**
+     * Load the history from file
+     */
+    loadState() {
+        const state = loadJson(HISTORY_FILE, {});
+        this.openEvents = state.openEvents || {};
+        this.history = state.history || [];
+    },
+
+    /**
+     * Save the history to file
+     */
+    saveState() {
+        saveJson(HISTORY_FILE, {
+            openEvents: this.openEvents,
+            history: this.history
+        });
+    },
+
+    /**
+     * Record the start of an event
+     * @param {string} name - Event name
+     * @param {string} type - MAJOR or MINOR
+     * @param {number} [time] - Start time in milliseconds
+     */
+    recordStart(name, type, time = Date.now()) {
+        const eventName = name.trim().toUpperCase();
+        this.closeStaleEvents(time);
+
+        if (this.openEvents[eventName]) return; // Already running
+
+        this.openEvents[eventName] = { name: eventName, type, startTime: time };
+        this.saveState();
+        logger.debug(`Recorded start of ${eventName}`);
+    },
+
+    /**
+     * Record the end of an event
+     * @param {string} name - Event name
+     * @param {string} type - MAJOR or MINOR
+     * @param {number} [time] - End time in milliseconds
+     */
+    recordEnd(name, type, time = Date.now()) {
+        const eventName = name.trim().toUpperCase();
+        const open = this.openEvents[eventName];
+
+        // Without a start we still know when it happened, just not how long it lasted
+        const startTime = open ? open.startTime : null;
+        this.addEntry({
+            name: eventName,
+            type: open ? open.type : type,
+            startTime,
+            endTime: time,
+            duration: startTime ? time - startTime : null
+        });
+
+        delete this.openEvents[eventName];
+        this.saveState();
+        logger.debug(`Recorded end of ${eventName}`);
+    },
+
+    /**
+     * Close events whose end message we never saw
+     * @param {number} now - Current time in milliseconds
+     */
+    closeStaleEvents(now) {
+        for (const [name, event] of Object.entries(this.openEvents)) {
+            if (now - event.startTime > MAX_EVENT_DURATION) {
+                this.addEntry({ ...event, endTime: null, duration: null });
+                delete this.openEvents[name];
+            }
+        }
+    },
+
+    /**
+     * Append a finished event to the history
+     * @param {Object} entry - History entry
+     */
+    addEntry(entry) {
+        this.history.push(entry);
+        if (this.history.length > MAX_HISTORY) {
+            this.history.splice(0, this.history.length - MAX_HISTORY);
+        }
+    },
+
+    /**
+     * Get statistics for each event name
+     * @returns {Object[]} Stats of { name, type, count, averageDuration, averageGap, lastOccurrence },
+     *     most recent first. Averages are null when there isn't enough data.
+     */
+    getStats() {
+        const byName = new Map();
+        for (const entry of this.history) {
+            if (!byName.has(entry.name)) byName.set(entry.name, []);
+            byName.get(entry.name).push(entry);
+        }
+
+        const average = values => values.length > 0
+            ? values.reduce((sum, value) => sum + value, 0) / values.length
+            : null;
+
+        const stats = [];
+        for (const [name, entries] of byName.entries()) {
+            const occurrences = entries
+                .map(entry => entry.startTime || entry.endTime)
+                .sort((a, b) => a - b);
+            const gaps = occurrences.slice(1).map((time, i) => time - occurrences[i]);
+            const durations = entries
+                .map(entry => entry.duration)
+                .filter(duration => duration !== null && duration !== undefined);
+
+            stats.push({
+                name,
+                type: entries[entries.length - 1].type,
+                count: entries.length,
+                averageDuration: average(durations),
+                averageGap: average(gaps),
+                lastOccurrence: Math.max(...entries.map(entry => entry.endTime || entry.startTime))
+            });
+        }
+
+        return stats.sort((a, b) => b.lastOccurrence - a.lastOccurrence);
+    }
+};
+
+module.exports = EventHistory;
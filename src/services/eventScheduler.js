@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Service keeping a persistent calendar of upcoming Pit events and posting reminders
+ */
+
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const EventSubscriptions = require('./eventSubscriptions');
+const EventCatalog = require('./eventCatalog');
+const { dataPath, loadJson, saveJson } = require('../utils/jsonFile');
+
+const SCHEDULE_FILE = dataPath('eventSchedule.json');
+const CHECK_INTERVAL = 15000;          // Check reminders every 15 seconds
+const SAME_EVENT_WINDOW = 120000;      // Announcements within 2 minutes refer to the same event
+const KEEP_AFTER_START = 600000;       // Forget events 10 minutes after they started
+
+const EventScheduler = {
+    // Upcoming events: { name, type, startTime, source, remindersSent }
+    events: [],
+
+    /**
+     * Initialize the event scheduler
+     * @param {Function} sendToDiscord - Function to send messages to Discord
+     */
+    initialize(sendToDiscord) {
+        this.sendToDiscord = sendToDiscord;
+        this.loadState();
+
+        setInterval(() => this.checkReminders(), CHECK_INTERVAL);
+        logger.info(`Event scheduler initialized with ${this.events.length} upcoming events`);
+    },
+
+    /**
+     * Load the schedule from file
+     */
+    loadState() {
+        this.events = loadJson(SCHEDULE_FILE, []);
+        this.pruneEvents();
+    },
+
+    /**
+     * Save the schedule to file
+     */
+    saveState() {
+        saveJson(SCHEDULE_FILE, this.events);
+    },
+
+    /**
+     * Find a scheduled event
+     * @param {string} name - Event name
+     * @param {number} startTime - Approximate start time
+     * @returns {Object|undefined} Scheduled event
+     */
+    findEvent(name, startTime) {
+        return this.events.find(event =>
+            event.name === name && Math.abs(event.startTime - startTime) < SAME_EVENT_WINDOW
+        );
+    },
+
+    /**
+     * Add an announced or queried upcoming event
+     * @param {Object} event - Event details
+     * @param {string} event.name - Event name
+     * @param {string} event.type - MAJOR or MINOR
+     * @param {number} event.startTime - Expected start time in milliseconds
+     * @param {string} event.source - Where the event was seen ("announcement" or "events-command")
+     */
+    addEvent({ name, type, startTime, source }) {
+        const eventName = name.trim().toUpperCase();
+        const existing = this.findEvent(eventName, startTime);
+
+        if (existing) {
+            // Later sightings are closer to the start, so their time is more accurate
+            existing.startTime = startTime;
+            existing.source = source;
+            this.skipPassedReminders(existing);
+        } else {
+            const event = {
+                name: eventName,
+                type,
+                startTime,
+                source,
+                remindersSent: []
+            };
+            this.skipPassedReminders(event);
+            this.events.push(event);
+            this.events.sort((a, b) => a.startTime - b.startTime);
+            logger.info(`Scheduled ${type} event ${eventName} at ${new Date(startTime).toISOString()}`);
+        }
+
+        this.saveState();
+    },
+
+    /**
+     * Mark reminders whose lead time had already passed when the event was seen as sent, so an
+     * announcement 3 minutes ahead isn't followed by a late 10 minute reminder
+     * @param {Object} event - Scheduled event
+     */
+    skipPassedReminders(event) {
+        const now = Date.now();
+        for (const lead of config.events.reminderLeadTimes) {
+            if (event.startTime - lead <= now && !event.remindersSent.includes(lead)) {
+                event.remindersSent.push(lead);
+            }
+        }
+    },
+
+    /**
+     * Remove an event from the schedule once it has started
+     * @param {string} name - Event name
+     */
+    markStarted(name) {
+        const eventName = name.trim().toUpperCase();
+        const now = Date.now();
+        const before = this.events.length;
+
+        this.events = this.events.filter(event =>
+            !(event.name === eventName && event.startTime - now < SAME_EVENT_WINDOW)
+        );
+
+        if (this.events.length !== before) {
+            this.saveState();
+        }
+    },
+
+    /**
+     * Get upcoming events in start order
+     * @returns {Object[]} Upcoming events
+     */
+    getUpcomingEvents() {
+        const now = Date.now();
+        return this.events.filter(event => event.startTime > now);
+    },
+
+    /**
+     * Remove events that started a while ago
+     * @returns {boolean} Whether any events were removed
+     */
+    pruneEvents() {
+        const cutoff = Date.now() - KEEP_AFTER_START;
+        const before = this.events.length;
+        this.events = this.events.filter(event => event.startTime >= cutoff);
+        return this.events.length !== before;
+    },
+
+    /**
+     * Post reminders that are due
+     */
+    checkReminders() {
+        const now = Date.now();
+        const leadTimes = [...config.events.reminderLeadTimes].sort((a, b) => b - a);
+        let changed = this.pruneEvents();
+
+        for (const event of this.events) {
+            if (event.startTime <= now) continue;
+
+            const dueLeads = leadTimes.filter(lead =>
+                now >= event.startTime - lead && !event.remindersSent.includes(lead)
+            );
+            if (dueLeads.length === 0) continue;
+
+            // If several are due (e.g. after a restart) only the closest one is posted
+            event.remindersSent.push(...dueLeads);
+            changed = true;
+            this.sendReminder(event);
+        }
+
+        if (changed) {
+            this.saveState();
+        }
+    },
+
+    /**
+     * Post a reminder for an upcoming event
+     * @param {Object} event - Scheduled event
+     */
+    sendReminder(event) {
+        const embed = {
+            color: EventCatalog.getColor(event.name, event.type),
+            description: `⏰ ${EventCatalog.getEmoji(event.name, event.type)} ${event.type} EVENT: ${event.name} starts <t:${Math.floor(event.startTime / 1000)}:R>`
+        };
+        const content = EventCatalog.shouldNotify(event.name)
+            ? EventSubscriptions.notify(event.name, embed)
+            : undefined;
+
+        this.sendToDiscord(config.discord.channels.events, { content, embeds: [embed] });
+        logger.info(`Sent reminder for ${event.type} event ${event.name}`);
+    }
+};
+
+module.exports = EventScheduler;
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Service managing per-member event notification subscriptions
+ */
+
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const RoleManager = require('../discord/roleManager');
+const EventCatalog = require('./eventCatalog');
+const { dataPath, loadJson, saveJson } = require('../utils/jsonFile');
+
+const SUBSCRIPTIONS_FILE = dataPath('eventSubscriptions.json');
+
+// Subscription key matching every event
+const ALL_EVENTS = 'ALL';
+
+const EventSubscriptions = {
+    ALL_EVENTS,
+
+    // userId -> { eventName: 'dm' | 'role' }
+    subscriptions: {},
+
+    // eventName -> managed role ID
+    roles: {},
+
+    discordClient: null,
+
+    /**
+     * Initialize event subscriptions
+     * @param {Object} discordClient - Discord.js client instance
+     */
+    initialize(discordClient) {
+        this.discordClient = discordClient;
+        this.loadState();
+        logger.info(`Event subscriptions initialized for ${Object.keys(this.subscriptions).length} members`);
+    },
+
+    /**
+     * Load subscriptions from file
+     */
+    loadState() {
+        const state = loadJson(SUBSCRIPTIONS_FILE, {});
+        this.subscriptions = state.subscriptions || {};
+        this.roles = state.roles || {};
+    },
+
+    /**
+     * Save subscriptions to file
+     */
+    saveState() {
+        saveJson(SUBSCRIPTIONS_FILE, {
+            subscriptions: this.subscriptions,
+            roles: this.roles
+        });
+    },
+
+    /**
+     * Get the events members can subscribe to
+     * @returns {string[]} Event names whose ping policy allows notifications
+     */
+    getEventNames() {
+        return EventCatalog.getEventNames({ pingable: true });
+    },
+
+    /**
+     * Format an event name for display
+     * @param {string} eventName - Upper case event name
+     * @returns {string} Display name (e.g., "Rage Pit")
+     */
+    formatEventName(eventName) {
+        if (eventName === ALL_EVENTS) return 'All events';
+        return eventName.toLowerCase().replace(/\b\w/g, char => char.toUpperCase());
+    },
+
+    /**
+     * Get the managed role ID for an event
+     * @param {string} eventName - Upper case event name
+     * @returns {string|undefined} Role ID
+     */
+    getRoleId(eventName) {
+        return this.roles[eventName];
+    },
+
+    /**
+     * Subscribe a member to an event
+     * @param {Object} member - Discord guild member
+     * @param {string} eventName - Event name or ALL
+     * @param {string} method - 'dm' or 'role'
+     */
+    async subscribe(member, eventName, method) {
+        const name = eventName.toUpperCase();
+        const userSubscriptions = this.subscriptions[member.id] || {};
+
+        if (method === 'role') {
+            const role = await RoleManager.ensureRole(member.guild, this.getRoleId(name), `${this.formatEventName(name)} Ping`);
+            this.roles[name] = role.id;
+            await RoleManager.addRole(member, role);
+        } else if (userSubscriptions[name] === 'role') {
+            await RoleManager.removeRole(member, this.getRoleId(name));
+        }
+
+        userSubscriptions[name] = method;
+        this.subscriptions[member.id] = userSubscriptions;
+        this.saveState();
+        logger.info(`${member.user.tag} subscribed to ${name} via ${method}`);
+    },
+
+    /**
+     * Unsubscribe a member from an event
+     * @param {Object} member - Discord guild member
+     * @param {string} eventName - Event name or ALL
+     * @returns {Promise<boolean>} Whether the member was subscribed
+     */
+    async unsubscribe(member, eventName) {
+        const name = eventName.toUpperCase();
+        const userSubscriptions = this.subscriptions[member.id];
+        if (!userSubscriptions || !userSubscriptions[name]) return false;
+
+        if (userSubscriptions[name] === 'role') {
+            await RoleManager.removeRole(member, this.getRoleId(name));
+        }
+
+        delete userSubscriptions[name];
+        if (Object.keys(userSubscriptions).length === 0) {
+            delete this.subscriptions[member.id];
+        }
+        this.saveState();
+        logger.info(`${member.user.tag} unsubscribed from ${name}`);
+        return true;
+    },
+
+    /**
+     * Get a member's subscriptions
+     * @param {string} userId - Discord user ID
+     * @returns {Object} Map of event name to delivery method
+     */
+    getSubscriptions(userId) {
+        return this.subscriptions[userId] || {};
+    },
+
+    /**
+     * Describe a member's subscriptions for a reply
+     * @param {string} userId - Discord user ID
+     * @returns {string} One line per subscription
+     */
+    describeSubscriptions(userId) {
+        const entries = Object.entries(this.getSubscriptions(userId));
+        if (entries.length === 0) {
+            return 'You are not subscribed to any events.';
+        }
+        return entries
+            .map(([name, method]) => `• ${this.formatEventName(name)} (${method === 'dm' ? 'DM' : 'role ping'})`)
+            .join('\n');
+    },
+
+    /**
+     * Notify an event's subscribers: DM subscribers get the embed directly, and the returned
+     * role mentions should be posted along with the announcement.
+     * @param {string} eventName - Event name
+     * @param {Object} embed - Announcement embed
+     * @param {Object} [options] - Notification options
+     * @param {boolean} [options.includeEventsRole=false] - Also mention the global events role, which
+     *     members held before subscriptions existed (only for major events starting in 3 minutes)
+     * @returns {string|undefined} Role mentions for the announcement content
+     */
+    notify(eventName, embed, { includeEventsRole = false } = {}) {
+        const catalogEvent = EventCatalog.getEvent(eventName);
+        const name = catalogEvent ? catalogEvent.name : eventName.trim().toUpperCase();
+        const roleMentions = new Set();
+
+        for (const [userId, userSubscriptions] of Object.entries(this.subscriptions)) {
+            const method = userSubscriptions[name] || userSubscriptions[ALL_EVENTS];
+            if (method === 'dm') {
+                this.sendDirectMessage(userId, embed);
+            }
+        }
+
+        for (const key of [name, ALL_EVENTS]) {
+            const roleId = this.getRoleId(key);
+            if (roleId) roleMentions.add(`<@&${roleId}>`);
+        }
+        if (includeEventsRole && config.discord.roles.events) {
+            roleMentions.add(`<@&${config.discord.roles.events}>`);
+        }
+
+        return roleMentions.size > 0 ? Array.from(roleMentions).join(' ') : undefined;
+    },
+
+    /**
+     * Send an event notification by DM
+     * @param {string} userId - Discord user ID
+     * @param {Object} embed - Notification embed
+     */
+    async sendDirectMessage(userId, embed) {
+        if (!this.discordClient) return;
+
+        try {
+            const user = await this.discordClient.users.fetch(userId);
+            await user.send({ embeds: [embed] });
+        } catch (error) {
+            logger.warn(`Could not send event notification to ${userId}: ${error.message}`);
+        }
+    }
+};
+
+module.exports = EventSubscriptions;
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Service storing [GKILLS] guild kills for leaderboards and head-to-head records
+ */
+
+const logger = require('../utils/logger');
+const { dataPath, loadJson, saveJson } = require('../utils/jsonFile');
+
+const KILLS_FILE = dataPath('guildKills.json');
+const MAX_KILLS = 20000; // Oldest kills are dropped beyond this
+
+const PERIODS = {
+    day: 24 * 3600000,
+    week: 7 * 24 * 3600000,
+    all: null
+};
+
+/**
+ * Count entries by a key, most first
+ * @param {Object[]} kills - Kills to count
+ * @param {string} key - 'killer' or 'victim'
+ * @returns {Object[]} { name, count }
+ */
+function countBy(kills, key) {
+    const counts = new Map();
+    for (const kill of kills) {
+        counts.set(kill[key], (counts.get(kill[key]) || 0) + 1);
+    }
+    return Array.from(counts, ([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+const GuildKills = {
+    PERIODS,
+
+    // { killer, killerLevel, victim, victimLevel, time }
+    kills: [],
+
+    /**
+     * Initialize the guild kill store
+     */
+    initialize() {
+        this.kills = loadJson(KILLS_FILE, []);
+        logger.info(`Guild kills initialized with ${this.kills.length} recorded kills`);
+    },
+
+    /**
+     * Record a guild kill
+     * @param {Object} kill - Kill details
+     * @param {string} kill.killer - Killer name
+     * @param {number} kill.killerLevel - Killer level
+     * @param {string} kill.victim - Victim name
+     * @param {number} kill.victimLevel - Victim level
+     */
+    recordKill({ killer, killerLevel, victim, victimLevel }) {
+        this.kills.push({ killer, killerLevel, victim, victimLevel, time: Date.now() });
+        if (this.kills.length > MAX_KILLS) {
+            this.kills.splice(0, this.kills.length - MAX_KILLS);
+        }
+        saveJson(KILLS_FILE, this.kills);
+    },
+
+    /**
+     * Get the kills within a period
+     * @param {string} period - 'day', 'week' or 'all'
+     * @param {number} [now] - End of the period in milliseconds
+     * @returns {Object[]} Kills
+     */
+    getKills(period, now = Date.now()) {
+        const length = PERIODS[period];
+        return length ? this.kills.filter(kill => kill.time >= now - length) : this.kills;
+    },
+
+    /**
+     * Get the players with the most kills
+     * @param {string} period - 'day', 'week' or 'all'
+     * @param {number} [now] - End of the period in milliseconds
+     * @returns {Object[]} { name, count } sorted by kills
+     */
+    getTopKillers(period, now = Date.now()) {
+        return countBy(this.getKills(period, now), 'killer');
+    },
+
+    /**
+     * Get the most killed players
+     * @param {string} period - 'day', 'week' or 'all'
+     * @param {number} [now] - End of the period in milliseconds
+     * @returns {Object[]} { name, count } sorted by deaths
+     */
+    getTopVictims(period, now = Date.now()) {
+        return countBy(this.getKills(period, now), 'victim');
+    },
+
+    /**
+     * Get the head-to-head record between two players
+     * @param {string} playerA - First player
+     * @param {string} playerB - Second player
+     * @returns {Object} { aKills, bKills, lastKill }
+     */
+    getHeadToHead(playerA, playerB) {
+        const a = playerA.toLowerCase();
+        const b = playerB.toLowerCase();
+        const between = this.kills.filter(kill => {
+            const killer = kill.killer.toLowerCase();
+            const victim = kill.victim.toLowerCase();
+            return (killer === a && victim === b) || (killer === b && victim === a);
+        });
+
+        return {
+            aKills: between.filter(kill => kill.killer.toLowerCase() === a).length,
+            bKills: between.filter(kill => kill.killer.toLowerCase() === b).length,
+            lastKill: between[between.length - 1] || null
+        };
+    }
+};
+
+module.exports = GuildKills;
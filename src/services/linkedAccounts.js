@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Store of Discord accounts linked to Minecraft accounts through /verify
+ */
+
+const logger = require('../utils/logger');
+const { dataPath, loadJson, saveJson } = require('../utils/jsonFile');
+
+const LINKS_FILE = dataPath('linkedAccounts.json');
+
+const LinkedAccounts = {
+    // Discord user ID -> Minecraft username
+    links: loadJson(LINKS_FILE, {}),
+
+    /**
+     * Link a Discord account to a Minecraft account
+     * @param {string} discordUserId - Discord user ID
+     * @param {string} minecraftName - Minecraft username
+     */
+    link(discordUserId, minecraftName) {
+        this.links[discordUserId] = minecraftName;
+        saveJson(LINKS_FILE, this.links);
+        logger.info(`Linked Discord user ${discordUserId} to ${minecraftName}`);
+    },
+
+    /**
+     * Get the Minecraft username linked to a Discord account
+     * @param {string} discordUserId - Discord user ID
+     * @returns {string|undefined} Minecraft username
+     */
+    getMinecraftName(discordUserId) {
+        return this.links[discordUserId];
+    },
+
+    /**
+     * Get the Discord account linked to a Minecraft account
+     * @param {string} minecraftName - Minecraft username
+     * @returns {string|undefined} Discord user ID
+     */
+    getDiscordUserId(minecraftName) {
+        const name = minecraftName.toLowerCase();
+        const entry = Object.entries(this.links).find(([, linkedName]) => linkedName.toLowerCase() === name);
+        return entry && entry[0];
+    }
+};
+
+module.exports = LinkedAccounts;
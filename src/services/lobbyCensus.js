@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Optional census mode that rotates the bot through Pit lobbies and keeps a
+ * server-wide board of who was last seen in which lobby
+ */
+
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const DiscordOutput = require('../discord/discordOutput');
+const { dataPath, loadJson, saveJson } = require('../utils/jsonFile');
+
+const CENSUS_FILE = dataPath('lobbyCensus.json');
+const SAVE_DELAY = 60000;         // Joins and leaves change the census constantly, so it is saved in batches
+const STALE_AFTER = 1800000;      // Lobbies not counted for 30 minutes are dropped from the board
+const MAX_FIELDS = 25;            // Discord's embed field limit
+
+const LobbyCensus = {
+    lobbyMonitor: null,
+
+    // Lobby name -> { players, countedAt }
+    lobbies: {},
+
+    // Index of the next lobby in config.census.lobbies
+    nextLobbyIndex: 0,
+
+    rotateInterval: null,
+    saveTimeout: null,
+
+    /**
+     * Initialize the census; does nothing unless census mode is enabled
+     * @param {Object} lobbyMonitor - Lobby monitor used to switch lobbies
+     * @param {Function} sendToDiscord - Function to send messages to Discord
+     */
+    initialize(lobbyMonitor, sendToDiscord) {
+        this.lobbyMonitor = lobbyMonitor;
+        this.sendToDiscord = sendToDiscord;
+        if (!this.isEnabled()) return;
+
+        this.lobbies = loadJson(CENSUS_FILE, {});
+        this.rotateInterval = setInterval(() => this.rotate(), config.census.dwellTime);
+        logger.info(`Lobby census enabled, moving lobbies every ${config.census.dwellTime / 1000}s`);
+    },
+
+    /**
+     * Check if census mode is enabled
+     * @returns {boolean} True if the bot should rotate through lobbies
+     */
+    isEnabled() {
+        return config.census.enabled;
+    },
+
+    /**
+     * Get the channel the census board is posted in
+     * @returns {string} Discord channel ID
+     */
+    getChannelId() {
+        return config.discord.channels.census || config.discord.channels.playerList;
+    },
+
+    /**
+     * Move to the next lobby. Without a configured lobby list, /play pit picks one for us.
+     */
+    rotate() {
+        const { lobbies, lobbyCommand } = config.census;
+        if (lobbies.length === 0) {
+            this.lobbyMonitor.sendPlayCommand();
+            return;
+        }
+
+        const lobby = lobbies[this.nextLobbyIndex % lobbies.length];
+        this.nextLobbyIndex = (this.nextLobbyIndex + 1) % lobbies.length;
+        logger.info(`Census moving to lobby ${lobby}`);
+        this.lobbyMonitor.sendPlayCommand(lobbyCommand.replace('{lobby}', lobby));
+    },
+
+    /**
+     * Record the players currently seen in a lobby
+     * @param {string} lobbyName - Lobby name
+     * @param {string[]} players - Player names in the lobby
+     */
+    recordLobby(lobbyName, players) {
+        if (!this.isEnabled() || !lobbyName) return;
+
+        // A player seen here has left whatever lobby we counted them in before
+        const seen = new Set(players);
+        for (const [name, lobby] of Object.entries(this.lobbies)) {
+            if (name === lobbyName) continue;
+            lobby.players = lobby.players.filter(player => !seen.has(player));
+        }
+
+        this.lobbies[lobbyName] = {
+            players: [...players].sort(),
+            countedAt: Date.now()
+        };
+        this.scheduleSave();
+        this.scheduleBoardUpdate();
+    },
+
+    /**
+     * Schedule saving the census
+     */
+    scheduleSave() {
+        if (this.saveTimeout) return;
+
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            saveJson(CENSUS_FILE, this.lobbies);
+        }, SAVE_DELAY);
+    },
+
+    /**
+     * Get the lobbies counted recently enough to still be shown
+     * @param {number} [now=Date.now()] - Current time in milliseconds
+     * @returns {Object[]} { name, players, countedAt } sorted by lobby name
+     */
+    getLobbies(now = Date.now()) {
+        return Object.entries(this.lobbies)
+            .filter(([, lobby]) => now - lobby.countedAt <= STALE_AFTER)
+            .map(([name, lobby]) => ({ name, ...lobby }))
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    },
+
+    /**
+     * Build the census board embed
+     * @returns {Object} Discord embed
+     */
+    buildBoardEmbed() {
+        const lobbies = this.getLobbies();
+        const total = lobbies.reduce((sum, lobby) => sum + lobby.players.length, 0);
+
+        const fields = lobbies.slice(0, MAX_FIELDS).map(lobby => {
+            let value = lobby.players.length > 0 ? lobby.players.join(', ') : 'Empty';
+            if (value.length > 900) {
+                value = `${value.slice(0, 900)}…`;
+            }
+            return {
+                name: `${lobby.name} (${lobby.players.length})`,
+                value: `${value}\nCounted <t:${Math.floor(lobby.countedAt / 1000)}:R>`,
+                inline: false
+            };
+        });
+
+        return {
+            color: 0x5865f2,
+            title: '🗺️ Lobby Census',
+            description: lobbies.length > 0
+                ? `${total} players across ${lobbies.length} lobbies`
+                : 'No lobbies counted yet',
+            fields,
+            footer: { text: 'Updates as the bot moves between lobbies' },
+            timestamp: new Date().toISOString()
+        };
+    },
+
+    /**
+     * Schedule a board edit, batched with the rest of the lobby's scan
+     */
+    scheduleBoardUpdate() {
+        DiscordOutput.scheduleEdit('lobbyCensus', this.sendToDiscord, this.getChannelId(), () => ({
+            embeds: [this.buildBoardEmbed()]
+        }));
+    }
+};
+
+module.exports = LobbyCensus;
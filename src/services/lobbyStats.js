@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Service recording lobby population samples for peak hour stats and CSV exports
+ */
+
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { dataPath, loadJson, saveJson } = require('../utils/jsonFile');
+
+const SAMPLES_FILE = dataPath('lobbyStats.json');
+const SAVE_DELAY = 300000;        // Scans run every few seconds, so samples are saved in batches
+const HOUR = 3600000;
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Average the sample counts per key
+ * @param {Object[]} samples - Samples to average
+ * @param {Function} keyOf - Returns the bucket key of a sample
+ * @returns {Map} Bucket key -> average player count
+ */
+function averageBy(samples, keyOf) {
+    const totals = new Map();
+    for (const sample of samples) {
+        const key = keyOf(sample);
+        const total = totals.get(key) || { sum: 0, samples: 0 };
+        total.sum += sample.count;
+        total.samples++;
+        totals.set(key, total);
+    }
+    return new Map(Array.from(totals, ([key, total]) => [key, total.sum / total.samples]));
+}
+
+const LobbyStats = {
+    // { time, lobby, count }, oldest first
+    samples: [],
+    saveTimeout: null,
+
+    /**
+     * Initialize the sample store
+     */
+    initialize() {
+        this.samples = loadJson(SAMPLES_FILE, []);
+        this.prune();
+        logger.info(`Lobby stats initialized with ${this.samples.length} samples`);
+    },
+
+    /**
+     * Record the player count of a scanned lobby
+     * @param {string} lobby - Lobby name
+     * @param {number} count - Players in the lobby
+     */
+    recordSample(lobby, count) {
+        if (!lobby) return;
+
+        this.samples.push({ time: Date.now(), lobby, count });
+        this.scheduleSave();
+    },
+
+    /**
+     * Drop samples older than the retention period
+     * @param {number} [now=Date.now()] - Current time in milliseconds
+     */
+    prune(now = Date.now()) {
+        const cutoff = now - config.lobbyStats.retention;
+        const firstKept = this.samples.findIndex(sample => sample.time >= cutoff);
+        this.samples.splice(0, firstKept === -1 ? this.samples.length : firstKept);
+    },
+
+    /**
+     * Schedule pruning and saving the samples
+     */
+    scheduleSave() {
+        if (this.saveTimeout) return;
+
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.prune();
+            saveJson(SAMPLES_FILE, this.samples);
+        }, SAVE_DELAY);
+    },
+
+    /**
+     * Get the average lobby population per UTC weekday and hour
+     * @returns {number[][]} Averages indexed by weekday (0 = Sunday) and hour, null without samples
+     */
+    getWeeklyAverages() {
+        const averages = averageBy(this.samples, sample => {
+            const date = new Date(sample.time);
+            return date.getUTCDay() * 24 + date.getUTCHours();
+        });
+
+        return Array.from({ length: 7 }, (_, day) =>
+            Array.from({ length: 24 }, (_, hour) => {
+                const average = averages.get(day * 24 + hour);
+                return average === undefined ? null : average;
+            })
+        );
+    },
+
+    /**
+     * Get the UTC hours with the highest average lobby population
+     * @param {number} [limit=3] - Hours returned
+     * @returns {Object[]} { hour, average } sorted by average, highest first
+     */
+    getPeakHours(limit = 3) {
+        const averages = averageBy(this.samples, sample => new Date(sample.time).getUTCHours());
+        return Array.from(averages, ([hour, average]) => ({ hour, average }))
+            .sort((a, b) => b.average - a.average)
+            .slice(0, limit);
+    },
+
+    /**
+     * Get the average lobby population of each of the last 24 hours
+     * @param {number} [now=Date.now()] - Current time in milliseconds
+     * @returns {Array<number|null>} Averages, oldest hour first, null without samples
+     */
+    getLastDay(now = Date.now()) {
+        const start = now - 24 * HOUR;
+        const averages = averageBy(
+            this.samples.filter(sample => sample.time > start && sample.time <= now),
+            sample => Math.min(Math.floor((sample.time - start) / HOUR), 23)
+        );
+
+        return Array.from({ length: 24 }, (_, index) => {
+            const average = averages.get(index);
+            return average === undefined ? null : average;
+        });
+    },
+
+    /**
+     * Render values as a text sparkline
+     * @param {Array<number|null>} values - Values, null for gaps
+     * @param {number} [max] - Value drawn as a full bar, defaults to the highest value
+     * @returns {string} Sparkline with · for gaps
+     */
+    sparkline(values, max = Math.max(0, ...values.filter(value => value !== null))) {
+        return values.map(value => {
+            if (value === null) return '·';
+            if (max === 0) return SPARK_CHARS[0];
+            return SPARK_CHARS[Math.round((value / max) * (SPARK_CHARS.length - 1))];
+        }).join('');
+    },
+
+    /**
+     * Export samples as CSV
+     * @param {number} [since=0] - Only samples from this time on, in milliseconds
+     * @returns {string} CSV with a header row
+     */
+    toCsv(since = 0) {
+        const rows = this.samples
+            .filter(sample => sample.time >= since)
+            .map(sample => `${new Date(sample.time).toISOString()},"${sample.lobby.replace(/"/g, '""')}",${sample.count}`);
+        return ['time,lobby,players', ...rows].join('\n') + '\n';
+    }
+};
+
+module.exports = LobbyStats;
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Filter telling NPCs and bots apart from real players, using rules from
+ * data/npcFilter.json and signals from the tab list
+ *
+ * Names in the allow and deny lists always win. Deny patterns mark a name as an NPC outright,
+ * while suspect patterns only add to a score together with the tab-list heuristics (ping,
+ * gamemode, UUID version and skin), so a real player with an unlucky name isn't filtered.
+ * Patterns are regular expressions, written as "/pattern/flags" when flags are needed.
+ * Exceptions added at runtime with /npcfilter are kept separately in npcFilterExceptions.json.
+ */
+
+const logger = require('../utils/logger');
+const { dataPath, loadJson, saveJson } = require('../utils/jsonFile');
+
+const RULES_FILE = dataPath('npcFilter.json');
+const EXCEPTIONS_FILE = dataPath('npcFilterExceptions.json');
+
+const DEFAULT_HEURISTICS = {
+    threshold: 2,
+    weights: {},
+    uuidVersion: 4,
+    gamemodes: [0]
+};
+
+/**
+ * Parse a rule pattern
+ * @param {string} pattern - Regular expression, optionally as "/pattern/flags"
+ * @returns {RegExp|null} Compiled pattern, or null if it is invalid
+ */
+function parsePattern(pattern) {
+    try {
+        const literal = pattern.match(/^\/(.+)\/([a-z]*)$/);
+        return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+    } catch (error) {
+        logger.error(`Invalid NPC filter pattern "${pattern}":`, error);
+        return null;
+    }
+}
+
+/**
+ * Lower case a list of names into a set
+ * @param {string[]} [names] - Names
+ * @returns {Set<string>} Lower case names
+ */
+function nameSet(names) {
+    return new Set((names || []).map(name => name.toLowerCase()));
+}
+
+const NpcFilter = {
+    bot: null,
+    allow: new Set(),
+    deny: new Set(),
+    denyPatterns: [],
+    suspectPatterns: [],
+    heuristics: DEFAULT_HEURISTICS,
+
+    // Runtime exceptions, lower case names
+    exceptions: { allow: [], deny: [] },
+
+    /**
+     * Initialize the filter with the bot whose tab list is checked
+     * @param {Object} bot - Mineflayer bot instance
+     */
+    initialize(bot) {
+        this.bot = bot;
+    },
+
+    /**
+     * Load the rules and runtime exceptions from file
+     */
+    load() {
+        const rules = loadJson(RULES_FILE, {});
+        this.allow = nameSet(rules.allow);
+        this.deny = nameSet(rules.deny);
+        this.denyPatterns = (rules.denyPatterns || []).map(parsePattern).filter(Boolean);
+        this.suspectPatterns = (rules.suspectPatterns || []).map(parsePattern).filter(Boolean);
+        this.heuristics = { ...DEFAULT_HEURISTICS, ...(rules.heuristics || {}) };
+
+        const exceptions = loadJson(EXCEPTIONS_FILE, {});
+        this.exceptions = {
+            allow: exceptions.allow || [],
+            deny: exceptions.deny || []
+        };
+
+        logger.info(`Loaded NPC filter with ${this.denyPatterns.length} deny and ${this.suspectPatterns.length} suspect patterns`);
+    },
+
+    /**
+     * Get the weight of a heuristic signal
+     * @param {string} signal - Signal name
+     * @returns {number} Weight, 0 if the signal is disabled
+     */
+    weight(signal) {
+        return this.heuristics.weights[signal] || 0;
+    },
+
+    /**
+     * Check a player against the filter
+     * @param {string} username - Player username
+     * @param {Object} [player] - Tab list entry, looked up in bot.players by default
+     * @returns {Object} { isNpc, reason, score } explaining the decision
+     */
+    check(username, player = this.bot && this.bot.players[username]) {
+        const name = username.toLowerCase();
+
+        // Don't filter out our own bot
+        if (this.bot && username === this.bot.username) {
+            return { isNpc: false, reason: 'the bot itself', score: 0 };
+        }
+        if (this.exceptions.allow.includes(name)) return { isNpc: false, reason: 'runtime allow exception', score: 0 };
+        if (this.exceptions.deny.includes(name)) return { isNpc: true, reason: 'runtime deny exception', score: 0 };
+        if (this.allow.has(name)) return { isNpc: false, reason: 'allow list', score: 0 };
+        if (this.deny.has(name)) return { isNpc: true, reason: 'deny list', score: 0 };
+
+        const denyPattern = this.denyPatterns.find(pattern => pattern.test(username));
+        if (denyPattern) return { isNpc: true, reason: `deny pattern ${denyPattern}`, score: 0 };
+
+        const signals = [];
+        const suspectPattern = this.suspectPatterns.find(pattern => pattern.test(username));
+        if (suspectPattern) signals.push(['suspectName', `name matches ${suspectPattern}`]);
+
+        if (player) {
+            const uuidVersion = player.uuid ? parseInt(player.uuid.replace(/-/g, '').charAt(12), 16) : null;
+            if (uuidVersion !== null && uuidVersion !== this.heuristics.uuidVersion) {
+                signals.push(['uuidVersion', `UUID version ${uuidVersion}`]);
+            }
+            if (player.ping === 0) signals.push(['zeroPing', 'ping 0']);
+            if (!player.skinData) signals.push(['missingSkin', 'no skin']);
+            if (player.gamemode !== undefined && !this.heuristics.gamemodes.includes(player.gamemode)) {
+                signals.push(['gamemode', `gamemode ${player.gamemode}`]);
+            }
+        }
+
+        const scored = signals.filter(([signal]) => this.weight(signal) > 0);
+        const score = scored.reduce((sum, [signal]) => sum + this.weight(signal), 0);
+        const reason = scored.length > 0 ? scored.map(([, description]) => description).join(', ') : 'no signals';
+
+        return { isNpc: score >= this.heuristics.threshold, reason, score };
+    },
+
+    /**
+     * Add a runtime exception, replacing any earlier exception for the name
+     * @param {string} username - Player username
+     * @param {string} list - 'allow' to never filter the name, 'deny' to always filter it
+     */
+    addException(username, list) {
+        this.removeException(username);
+        this.exceptions[list].push(username.toLowerCase());
+        saveJson(EXCEPTIONS_FILE, this.exceptions);
+        logger.info(`Added NPC filter ${list} exception for ${username}`);
+    },
+
+    /**
+     * Remove a runtime exception
+     * @param {string} username - Player username
+     * @returns {boolean} True if the name had an exception
+     */
+    removeException(username) {
+        const name = username.toLowerCase();
+        const had = this.exceptions.allow.includes(name) || this.exceptions.deny.includes(name);
+
+        this.exceptions.allow = this.exceptions.allow.filter(entry => entry !== name);
+        this.exceptions.deny = this.exceptions.deny.filter(entry => entry !== name);
+        if (had) saveJson(EXCEPTIONS_FILE, this.exceptions);
+        return had;
+    }
+};
+
+NpcFilter.load();
+
+module.exports = NpcFilter;
@@ -5,7 +5,6 @@ const logger = require('../utils/logger');
 
 class PlayerTracker {
     constructor() {
-        this.messageId = null;
         this.sendToDiscord = null;
         this.lastUpdate = 0;
         this.updateInterval = 10000; // 10 seconds
@@ -15,17 +14,7 @@ class PlayerTracker {
 
     initialize(sendToDiscord) {
         this.sendToDiscord = sendToDiscord;
-        this.createPlayerListMessage();
-    }
-
-    async createPlayerListMessage() {
-        try {
-            const embeds = this.generateEmbed();
-            const message = await this.sendToDiscord(config.discord.channels.playerList, { embeds });
-            if (message) this.messageId = message.id;
-        } catch (error) {
-            logger.error('Error creating player list message:', error);
-        }
+        this.updatePlayerList();
     }
 
     /**
@@ -49,9 +38,9 @@ class PlayerTracker {
             }
 
             logger.debug('Sending player list embeds to Discord...');
-            await this.sendToDiscord(config.discord.channels.playerList, { 
-                embeds: [onlineEmbed, possiblyOnlineEmbed], 
-                messageId: this.messageId 
+            await this.sendToDiscord(config.discord.channels.playerList, {
+                embeds: [onlineEmbed, possiblyOnlineEmbed],
+                messageKey: 'playerList'
             });
 
             this.isInitializing = false;
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Service running recurring Discord posts (e.g. weekly summaries) that survive restarts
+ */
+
+const logger = require('../utils/logger');
+const { dataPath, loadJson, saveJson } = require('../utils/jsonFile');
+
+const STATE_FILE = dataPath('scheduledPosts.json');
+const CHECK_INTERVAL = 60000; // Check for due posts every minute
+
+const ScheduledPosts = {
+    // Post name -> { interval, post }
+    posts: {},
+
+    // Post name -> last run time in milliseconds
+    lastRuns: {},
+
+    /**
+     * Initialize scheduled posts
+     */
+    initialize() {
+        this.lastRuns = loadJson(STATE_FILE, {});
+        setInterval(() => this.runDuePosts(), CHECK_INTERVAL);
+        logger.info(`Scheduled posts initialized with ${Object.keys(this.posts).length} posts`);
+    },
+
+    /**
+     * Register a recurring post. A newly registered post first runs one interval after registration.
+     * @param {string} name - Unique post name, used to persist the last run time
+     * @param {number} interval - Time between posts in milliseconds
+     * @param {Function} post - Function creating the post, may be async
+     */
+    register(name, interval, post) {
+        this.posts[name] = { interval, post };
+    },
+
+    /**
+     * Run every post whose interval has passed since its last run
+     */
+    async runDuePosts() {
+        const now = Date.now();
+
+        for (const [name, { interval, post }] of Object.entries(this.posts)) {
+            if (!this.lastRuns[name]) {
+                this.lastRuns[name] = now;
+                saveJson(STATE_FILE, this.lastRuns);
+                continue;
+            }
+            if (now - this.lastRuns[name] < interval) continue;
+
+            // Saved before posting so a failing post doesn't repeat every minute
+            this.lastRuns[name] = now;
+            saveJson(STATE_FILE, this.lastRuns);
+
+            try {
+                await post();
+                logger.info(`Ran scheduled post ${name}`);
+            } catch (error) {
+                logger.error(`Error running scheduled post ${name}:`, error);
+            }
+        }
+    }
+};
+
+module.exports = ScheduledPosts;
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Service keeping per-member player watchlists and sending DM alerts when a watched
+ * player joins the lobby, chats, prestiges or shows up in a guild kill
+ */
+
+const logger = require('../utils/logger');
+const PlayerDataStore = require('../utils/playerDataStore');
+const { dataPath, loadJson, saveJson } = require('../utils/jsonFile');
+
+const WATCHLIST_FILE = dataPath('watchlist.json');
+const MAX_WATCHED = 25;           // Players per member
+
+// Minimum time between alerts of a kind about the same player, so lobby hopping and chatty players don't spam DMs
+const ALERT_COOLDOWNS = {
+    join: 600000,
+    chat: 600000
+};
+
+const ALERTS = {
+    join: { emoji: '🟢', title: 'joined the lobby', color: 0x00ff00 },
+    chat: { emoji: '💬', title: 'is chatting', color: 0x5865f2 },
+    prestige: { emoji: '🏆', title: 'prestiged', color: 0xffd700 },
+    guildKill: { emoji: '⚔️', title: 'was in a guild kill', color: 0xff0000 }
+};
+
+/**
+ * Normalize a player name for comparisons
+ * @param {string} name - Player name, possibly with the ♚ symbol
+ * @returns {string} Lower case name
+ */
+function normalizeName(name) {
+    return name.replace(/♚/g, '').trim().toLowerCase();
+}
+
+const Watchlist = {
+    MAX_WATCHED,
+
+    // userId -> watched player names as entered
+    watchlists: {},
+
+    // "userId:player:kind" -> time of the last alert
+    lastAlerts: new Map(),
+
+    discordClient: null,
+
+    /**
+     * Initialize the watchlists
+     * @param {Object} discordClient - Discord.js client instance
+     */
+    initialize(discordClient) {
+        this.discordClient = discordClient;
+        this.watchlists = loadJson(WATCHLIST_FILE, {});
+        logger.info(`Watchlist initialized for ${Object.keys(this.watchlists).length} members`);
+    },
+
+    /**
+     * Get a member's watched players
+     * @param {string} userId - Discord user ID
+     * @returns {string[]} Player names
+     */
+    list(userId) {
+        return this.watchlists[userId] || [];
+    },
+
+    /**
+     * Add a player to a member's watchlist
+     * @param {string} userId - Discord user ID
+     * @param {string} player - Player name
+     * @returns {boolean} False if the player was already watched
+     */
+    add(userId, player) {
+        const watched = this.list(userId);
+        if (watched.some(name => normalizeName(name) === normalizeName(player))) return false;
+
+        this.watchlists[userId] = [...watched, player.trim()];
+        saveJson(WATCHLIST_FILE, this.watchlists);
+        return true;
+    },
+
+    /**
+     * Remove a player from a member's watchlist
+     * @param {string} userId - Discord user ID
+     * @param {string} player - Player name
+     * @returns {boolean} False if the player wasn't watched
+     */
+    remove(userId, player) {
+        const watched = this.list(userId);
+        const remaining = watched.filter(name => normalizeName(name) !== normalizeName(player));
+        if (remaining.length === watched.length) return false;
+
+        if (remaining.length > 0) {
+            this.watchlists[userId] = remaining;
+        } else {
+            delete this.watchlists[userId];
+        }
+        saveJson(WATCHLIST_FILE, this.watchlists);
+        return true;
+    },
+
+    /**
+     * Get the members watching a player
+     * @param {string} player - Player name
+     * @returns {string[]} Discord user IDs
+     */
+    getWatchers(player) {
+        const name = normalizeName(player);
+        return Object.keys(this.watchlists)
+            .filter(userId => this.watchlists[userId].some(watched => normalizeName(watched) === name));
+    },
+
+    /**
+     * Alert the members watching a player
+     * @param {string} player - Player name as seen in game
+     * @param {string} kind - 'join', 'chat', 'prestige' or 'guildKill'
+     * @param {Object} [details] - Alert details
+     * @param {string} [details.description] - What happened
+     * @param {string} [details.lobby] - Lobby, defaults to the player's last known lobby
+     */
+    notify(player, kind, { description, lobby } = {}) {
+        const watchers = this.getWatchers(player);
+        if (watchers.length === 0) return;
+
+        const now = Date.now();
+        const stored = PlayerDataStore.getPlayer(player);
+        const alert = ALERTS[kind];
+        const embed = {
+            color: alert.color,
+            title: `${alert.emoji} ${PlayerDataStore.formatPlayer(player)} ${alert.title}`,
+            description,
+            fields: [
+                { name: 'Lobby', value: lobby || (stored && stored.lobby) || 'Unknown', inline: true }
+            ],
+            footer: { text: 'Remove with /watch remove' },
+            timestamp: new Date(now).toISOString()
+        };
+
+        for (const userId of watchers) {
+            const key = `${userId}:${normalizeName(player)}:${kind}`;
+            if (ALERT_COOLDOWNS[kind] && now - (this.lastAlerts.get(key) || 0) < ALERT_COOLDOWNS[kind]) continue;
+
+            this.lastAlerts.set(key, now);
+            this.sendDirectMessage(userId, embed);
+        }
+    },
+
+    /**
+     * Send a watchlist alert to a member by DM
+     * @param {string} userId - Discord user ID
+     * @param {Object} embed - Alert embed
+     */
+    async sendDirectMessage(userId, embed) {
+        if (!this.discordClient) return;
+
+        try {
+            const user = await this.discordClient.users.fetch(userId);
+            await user.send({ embeds: [embed] });
+        } catch (error) {
+            logger.warn(`Could not send watchlist alert to ${userId}: ${error.message}`);
+        }
+    }
+};
+
+module.exports = Watchlist;
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Weekly summary posts built from stored player data
+ */
+
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const PlayerDataStore = require('../utils/playerDataStore');
+const ScheduledPosts = require('./scheduledPosts');
+const GuildKills = require('./guildKills');
+
+const WEEK = 7 * 24 * 3600000;
+const TOP_PLAYERS = 10; // Players listed per summary
+
+const WeeklySummaries = {
+    /**
+     * Register the weekly summary posts
+     * @param {Function} sendToDiscord - Function to send messages to Discord
+     */
+    initialize(sendToDiscord) {
+        this.sendToDiscord = sendToDiscord;
+        ScheduledPosts.register('weeklyPrestiges', WEEK, () => this.postPrestigeSummary());
+        ScheduledPosts.register('weeklyGuildKills', WEEK, () => this.postGuildKillSummary());
+        logger.info('Weekly summaries registered');
+    },
+
+    /**
+     * Build the weekly "most prestiges" embed
+     * @param {number} [now] - End of the week in milliseconds
+     * @returns {Object} Discord embed
+     */
+    buildPrestigeSummary(now = Date.now()) {
+        const counts = PlayerDataStore.getPrestigeCounts(now - WEEK);
+        const lines = counts.slice(0, TOP_PLAYERS).map((entry, index) =>
+            `**${index + 1}.** ${PlayerDataStore.formatPlayer(entry.name)} • ${entry.count} prestige${entry.count === 1 ? '' : 's'}`
+        );
+
+        return {
+            color: 0xffd700,
+            title: '🏆 Most Prestiges This Week',
+            description: lines.length > 0 ? lines.join('\n') : 'Nobody prestiged this week.',
+            footer: { text: `${counts.reduce((total, entry) => total + entry.count, 0)} prestiges in total` },
+            timestamp: new Date(now).toISOString()
+        };
+    },
+
+    /**
+     * Post the weekly prestige summary
+     */
+    async postPrestigeSummary() {
+        await this.sendToDiscord(config.discord.channels.prestigeAlerts, { embeds: [this.buildPrestigeSummary()] });
+    },
+
+    /**
+     * Build the weekly guild kill leaderboard embed
+     * @param {number} [now] - End of the week in milliseconds
+     * @returns {Object} Discord embed
+     */
+    buildGuildKillSummary(now = Date.now()) {
+        const kills = GuildKills.getKills('week', now);
+        const lines = GuildKills.getTopKillers('week', now).slice(0, TOP_PLAYERS).map((entry, index) =>
+            `**${index + 1}.** ${entry.name} • ${entry.count} kill${entry.count === 1 ? '' : 's'}`
+        );
+        const [mostKilled] = GuildKills.getTopVictims('week', now);
+
+        const embed = {
+            color: 0xFF0000,
+            title: '🗡️ Weekly Guild Kill Leaderboard',
+            description: lines.length > 0 ? lines.join('\n') : 'No guild kills this week.',
+            fields: [],
+            footer: { text: `${kills.length} guild kills in total` },
+            timestamp: new Date(now).toISOString()
+        };
+        if (mostKilled) {
+            embed.fields.push({ name: 'Most killed', value: `${mostKilled.name} (${mostKilled.count}×)`, inline: true });
+        }
+        return embed;
+    },
+
+    /**
+     * Post the weekly guild kill leaderboard
+     */
+    async postGuildKillSummary() {
+        await this.sendToDiscord(config.discord.channels.guildKills, { embeds: [this.buildGuildKillSummary()] });
+    }
+};
+
+module.exports = WeeklySummaries;
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Records the live Minecraft chat, title and boss bar stream to a transcript file
+ *
+ * Transcripts are JSON Lines files, one event per line:
+ *   {"time":1740102073664,"type":"message","text":"...","json":{...},"position":"chat"}
+ *   {"time":1740102073900,"type":"title","text":"...","titleType":"title"}
+ *   {"time":1740102074000,"type":"bossBar","action":"updated","text":"...","health":0.5}
+ * They can be fed back through the chat pipeline with transcriptReplay.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const TranscriptRecorder = {
+    stream: null,
+    filePath: null,
+
+    /**
+     * Start recording a bot's chat events
+     * @param {Object} bot - Mineflayer bot instance
+     * @param {string} filePath - Transcript file to append to
+     */
+    attach(bot, filePath) {
+        this.filePath = path.resolve(filePath);
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+        this.stream.on('error', error => logger.error('Error writing chat transcript:', error));
+
+        bot.on('message', (message, position) => {
+            this.write({
+                type: 'message',
+                text: message.toString(),
+                json: message.json,
+                position
+            });
+        });
+
+        bot.on('title', (text, titleType) => {
+            this.write({ type: 'title', text, titleType });
+        });
+
+        for (const action of ['created', 'updated', 'deleted']) {
+            const eventName = `bossBar${action.charAt(0).toUpperCase()}${action.slice(1)}`;
+            bot.on(eventName, (bossBar) => {
+                this.write({
+                    type: 'bossBar',
+                    action,
+                    text: bossBar.title ? bossBar.title.toString() : '',
+                    health: bossBar.health
+                });
+            });
+        }
+
+        logger.info(`Recording chat transcript to ${this.filePath}`);
+    },
+
+    /**
+     * Append one event to the transcript
+     * @param {Object} entry - Transcript entry without timestamp
+     */
+    write(entry) {
+        if (!this.stream) return;
+        this.stream.write(`${JSON.stringify({ time: Date.now(), ...entry })}\n`);
+    }
+};
+
+module.exports = TranscriptRecorder;
@@ -0,0 +1,300 @@
+/**
+ * @fileoverview Offline replay of recorded chat transcripts through ChatHandler and ChatParser
+ *
+ * Every Discord message the pipeline would send is captured instead of posted, so new
+ * patterns can be checked against a transcript without Discord or a live server.
+ *
+ * Usage:
+ *   node src/tools/transcriptReplay.js <transcript> [--snapshot <file>] [--update] [--realtime] [--lobby <name>]
+ *
+ * Transcript lines are either JSON entries written by transcriptRecorder.js or plain chat
+ * lines; blank lines and lines starting with # are skipped. With --snapshot the captured
+ * output is compared against the snapshot file (or written to it with --update).
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+
+// Placeholder IDs let the config load without a .env and keep captured output identical across machines
+const PLACEHOLDER_ENV = [
+    'MC_EMAIL',
+    'MC_PASSWORD',
+    'MC_EMAIL_2',
+    'MC_PASSWORD_2',
+    'DISCORD_TOKEN',
+    'DISCORD_GUILD_ID',
+    'BOOSTERS_CHANNEL',
+    'EVENTS_CHANNEL',
+    'LOBBY_CHANNEL',
+    'BOT_COMMANDS_CHANNEL',
+    'PRESTIGE_ALERTS_CHANNEL',
+    'GUILD_CHAT_CHANNEL',
+    'GUILD_KILLS_CHANNEL',
+    'PRIVATE_MESSENGER_CHANNEL',
+    'PLAYER_LIST_CHANNEL',
+    'ADMIN_ALERTS_CHANNEL',
+    'AUCTIONS_CHANNEL',
+    'BOUNTY_CHANNEL',
+    'STREAKS_CHANNEL',
+    'CENSUS_CHANNEL',
+    'RIVAL_ALERT_ROLE_ID',
+    'BOOSTER_AVAILABLE_ROLE_ID',
+    'EVENTS_ROLE_ID',
+    'BOOSTERS_ROLE_ID',
+    'VERIFIED_ROLE_ID',
+    'CATCHPA_ROLE_ID'
+];
+PLACEHOLDER_ENV.forEach(name => {
+    process.env[name] = name;
+});
+
+// Keep the console free for the captured output; logs still go to logs/
+process.env.NODE_ENV = 'production';
+
+const ChatHandler = require('../minecraft/chatHandler');
+const ChatParser = require('../minecraft/chatParser');
+const PlayerTracker = require('../services/playerTracker');
+const BoosterTracker = require('../services/boosterTracker');
+const EventScheduler = require('../services/eventScheduler');
+const EventHistory = require('../services/eventHistory');
+const EventCatalog = require('../services/eventCatalog');
+const AuctionTracker = require('../services/auctionTracker');
+const BountyTracker = require('../services/bountyTracker');
+const GuildKills = require('../services/guildKills');
+const BoosterHistory = require('../services/boosterHistory');
+const BoosterSubscriptions = require('../services/boosterSubscriptions');
+const Watchlist = require('../services/watchlist');
+const LobbyDigest = require('../discord/lobbyDigest');
+const PlayerDataStore = require('../utils/playerDataStore');
+const { disableWrites } = require('../utils/jsonFile');
+
+// Upper bound for gaps between entries in realtime mode
+const MAX_REALTIME_GAP = 5000;
+
+/**
+ * Parse transcript file contents
+ * @param {string} content - Transcript file contents
+ * @returns {Object[]} Transcript entries
+ */
+function parseTranscript(content) {
+    return content.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => {
+            if (line.startsWith('{')) {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    // Not JSON after all, treat it as a chat line
+                }
+            }
+            return { type: 'message', text: line };
+        });
+}
+
+/**
+ * Replace values that change between runs (Discord timestamps, embed timestamps)
+ * @param {Object[]} outputs - Captured Discord messages
+ * @returns {Object[]} Normalized copy of the outputs
+ */
+function normalizeOutputs(outputs) {
+    const json = JSON.stringify(outputs, (key, value) => {
+        if (key === 'timestamp' && value) return '<timestamp>';
+        return value;
+    });
+    return JSON.parse(json.replace(/<t:\d+(:[tTdDfFR])?>/g, '<t:TIMESTAMP$1>'));
+}
+
+/**
+ * Reset the shared service state so consecutive replays don't affect each other
+ */
+function resetState() {
+    ChatParser.activeEvents.clear();
+    ChatParser.boosterCorrelator.clear();
+    BoosterTracker.reset();
+    BoosterHistory.entries = [];
+    BoosterSubscriptions.subscriptions = {};
+    BoosterSubscriptions.roles = {};
+    BoosterSubscriptions.lastLegacyPing = 0;
+    Watchlist.watchlists = {};
+    Watchlist.lastAlerts.clear();
+    EventScheduler.events = [];
+    EventHistory.openEvents = {};
+    EventHistory.history = [];
+    EventCatalog.alertedNames.clear();
+    AuctionTracker.reset();
+    BountyTracker.reset();
+    GuildKills.kills = [];
+    LobbyDigest.reset();
+    PlayerDataStore.players = [];
+    PlayerTracker.lastUpdate = 0;
+}
+
+/**
+ * Replay transcript entries through the chat pipeline
+ * @param {Object[]} entries - Transcript entries
+ * @param {Object} [options] - Replay options
+ * @param {string} [options.lobby='replay'] - Lobby name reported by the fake lobby monitor
+ * @param {boolean} [options.realtime=false] - Wait between entries as recorded
+ * @returns {Promise<Object[]>} Captured Discord messages as { channelId, message }, and edits
+ *     of earlier messages (including sends with a messageId or known messageKey) as { channelId, messageId, edit }
+ */
+async function replayTranscript(entries, options = {}) {
+    const outputs = [];
+    const keyedMessages = new Map(); // messageKey -> captured message ID, like DiscordOutput keeps them
+    const capture = async (channelId, message) => {
+        const { messageKey, messageId: editId, ...payload } = typeof message === 'string' ? { content: message } : message;
+        const existingId = editId || keyedMessages.get(messageKey);
+        if (existingId) {
+            outputs.push({ channelId, messageId: existingId, edit: payload });
+        } else {
+            outputs.push({ channelId, message: typeof message === 'string' ? message : payload });
+        }
+
+        const messageId = existingId || `replay-${outputs.length}`;
+        if (messageKey) keyedMessages.set(messageKey, messageId);
+        return {
+            id: messageId,
+            edit: async (edit) => {
+                outputs.push({ channelId, messageId, edit });
+            }
+        };
+    };
+
+    // Never write replayed data into the live data files
+    PlayerDataStore.saveData = () => {};
+    disableWrites();
+    resetState();
+
+    const bot = new EventEmitter();
+    bot.username = 'ReplayBot';
+    bot.players = {};
+
+    const lobbyMonitor = {
+        bot,
+        currentLobby: options.lobby || 'replay',
+        players: new Set(),
+        handleNewLobby(lobbyName) {
+            this.currentLobby = lobbyName;
+        }
+    };
+
+    // Wire the pipeline the same way index.js does, minus the timers
+    ChatParser.sendToDiscord = capture;
+    ChatParser.lobbyMonitor = lobbyMonitor;
+    ChatParser.commandBridge = {
+        handleVerificationCode: (playerName, code) => outputs.push({ verification: { playerName, code } })
+    };
+    ChatHandler.initialize(capture);
+    EventCatalog.initialize(capture);
+    AuctionTracker.sendToDiscord = capture;
+    BountyTracker.sendToDiscord = capture;
+    BoosterTracker.sendToDiscord = capture;
+    PlayerTracker.sendToDiscord = capture;
+    LobbyDigest.initialize(capture);
+
+    bot.on('message', (message) => {
+        const text = message.toString().trim();
+        if (text) {
+            ChatHandler.handleChat(text, message.json);
+        }
+    });
+    bot.on('title', (title, type) => ChatParser.handleTitleMessage(title, type));
+
+    let previousTime = null;
+    for (const entry of entries) {
+        if (options.realtime && entry.time && previousTime) {
+            const gap = Math.min(Math.max(entry.time - previousTime, 0), MAX_REALTIME_GAP);
+            await new Promise(resolve => setTimeout(resolve, gap));
+        } else {
+            // Live packets arrive in separate ticks, so let async sends from the previous entry finish
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        previousTime = entry.time || previousTime;
+
+        switch (entry.type) {
+            case 'title':
+                bot.emit('title', entry.text, entry.titleType || 'title');
+                break;
+            case 'bossBar': {
+                const eventName = `bossBar${entry.action.charAt(0).toUpperCase()}${entry.action.slice(1)}`;
+                // Shaped like mineflayer's BossBar, whose title is a chat message
+                bot.emit(eventName, { title: { toString: () => entry.text }, health: entry.health });
+                break;
+            }
+            default:
+                bot.emit('message', { toString: () => entry.text, json: entry.json }, entry.position || 'chat');
+        }
+    }
+
+    // Let pending booster activations fall back to their default multiplier and batched board and digest edits go out
+    await new Promise(resolve => setTimeout(resolve, ChatParser.boosterCorrelator.TTL + 100));
+    ChatParser.boosterCorrelator.clear();
+
+    return outputs;
+}
+
+/**
+ * Command line entry point
+ * @param {string[]} args - Command line arguments
+ */
+async function main(args) {
+    const transcriptPath = args.find((arg, i) => !arg.startsWith('--') && !['--snapshot', '--lobby'].includes(args[i - 1]));
+    if (!transcriptPath) {
+        console.error('Usage: node src/tools/transcriptReplay.js <transcript> [--snapshot <file>] [--update] [--realtime] [--lobby <name>]');
+        process.exit(2);
+    }
+
+    const optionValue = (name) => {
+        const index = args.indexOf(name);
+        return index === -1 ? undefined : args[index + 1];
+    };
+
+    const entries = parseTranscript(fs.readFileSync(transcriptPath, 'utf8'));
+    const outputs = normalizeOutputs(await replayTranscript(entries, {
+        lobby: optionValue('--lobby'),
+        realtime: args.includes('--realtime')
+    }));
+    const rendered = `${JSON.stringify(outputs, null, 2)}\n`;
+
+    const snapshotPath = optionValue('--snapshot');
+    if (!snapshotPath) {
+        process.stdout.write(rendered);
+        process.exit(0);
+    }
+
+    if (args.includes('--update') || !fs.existsSync(snapshotPath)) {
+        fs.mkdirSync(path.dirname(path.resolve(snapshotPath)), { recursive: true });
+        fs.writeFileSync(snapshotPath, rendered);
+        console.log(`Wrote ${outputs.length} captured messages to ${snapshotPath}`);
+        process.exit(0);
+    }
+
+    const expected = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+    const length = Math.max(expected.length, outputs.length);
+    for (let i = 0; i < length; i++) {
+        if (JSON.stringify(expected[i]) !== JSON.stringify(outputs[i])) {
+            console.error(`Snapshot mismatch at message ${i + 1} of ${length}`);
+            console.error(`Expected: ${JSON.stringify(expected[i], null, 2)}`);
+            console.error(`Received: ${JSON.stringify(outputs[i], null, 2)}`);
+            process.exit(1);
+        }
+    }
+
+    console.log(`Snapshot matches (${outputs.length} messages)`);
+    process.exit(0);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error('Replay failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseTranscript,
+    normalizeOutputs,
+    replayTranscript
+};
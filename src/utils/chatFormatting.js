@@ -0,0 +1,167 @@
+/**
+ * Utility functions for rendering Minecraft chat formatting in Discord
+ */
+
+// Minecraft color names by legacy formatting code
+const LEGACY_COLORS = {
+    0: 'black',
+    1: 'dark_blue',
+    2: 'dark_green',
+    3: 'dark_aqua',
+    4: 'dark_red',
+    5: 'dark_purple',
+    6: 'gold',
+    7: 'gray',
+    8: 'dark_gray',
+    9: 'blue',
+    a: 'green',
+    b: 'aqua',
+    c: 'red',
+    d: 'light_purple',
+    e: 'yellow',
+    f: 'white'
+};
+
+// Legacy formatting codes that are not colors
+const LEGACY_FORMATS = {
+    l: 'bold',
+    m: 'strikethrough',
+    n: 'underlined',
+    o: 'italic',
+    k: 'obfuscated'
+};
+
+// Closest Discord ANSI foreground color for each Minecraft color
+const ANSI_COLORS = {
+    black: 30,
+    dark_blue: 34,
+    dark_green: 32,
+    dark_aqua: 36,
+    dark_red: 31,
+    dark_purple: 35,
+    gold: 33,
+    gray: 30,
+    dark_gray: 30,
+    blue: 34,
+    green: 32,
+    aqua: 36,
+    red: 31,
+    light_purple: 35,
+    yellow: 33,
+    white: 37
+};
+
+/**
+ * Split text containing legacy § codes into formatted segments
+ * @param {string} text - Text that may contain § codes
+ * @param {Object} style - Style inherited from the parent component
+ * @returns {Object[]} Segments of { text, color, bold, italic, underlined, strikethrough }
+ */
+const splitLegacyCodes = (text, style) => {
+    const segments = [];
+    let current = { ...style };
+    let buffer = '';
+
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '§' && i + 1 < text.length) {
+            const code = text[i + 1].toLowerCase();
+            if (buffer) {
+                segments.push({ ...current, text: buffer });
+                buffer = '';
+            }
+            if (LEGACY_COLORS[code]) {
+                // A color code resets all formatting
+                current = { color: LEGACY_COLORS[code] };
+            } else if (LEGACY_FORMATS[code]) {
+                current = { ...current, [LEGACY_FORMATS[code]]: true };
+            } else if (code === 'r') {
+                current = { ...style };
+            }
+            i++;
+            continue;
+        }
+        buffer += text[i];
+    }
+
+    if (buffer) {
+        segments.push({ ...current, text: buffer });
+    }
+    return segments;
+};
+
+/**
+ * Flatten a chat component into formatted text segments
+ * @param {Object|string|Array} component - Chat component JSON
+ * @param {Object} [parentStyle] - Style inherited from the parent component
+ * @returns {Object[]} Segments of { text, color, bold, italic, underlined, strikethrough }
+ */
+const flattenComponent = (component, parentStyle = {}) => {
+    if (component === null || component === undefined) return [];
+    if (typeof component === 'string' || typeof component === 'number') {
+        return splitLegacyCodes(String(component), parentStyle);
+    }
+    if (Array.isArray(component)) {
+        return component.flatMap(child => flattenComponent(child, parentStyle));
+    }
+
+    const style = { ...parentStyle };
+    for (const key of ['color', 'bold', 'italic', 'underlined', 'strikethrough']) {
+        if (component[key] !== undefined) style[key] = component[key];
+    }
+
+    const segments = [];
+    if (component.text !== undefined) {
+        segments.push(...splitLegacyCodes(String(component.text), style));
+    } else if (component.translate !== undefined && Array.isArray(component.with)) {
+        component.with.forEach((arg, index) => {
+            if (index > 0) segments.push({ ...style, text: ' ' });
+            segments.push(...flattenComponent(arg, style));
+        });
+    }
+
+    if (Array.isArray(component.extra)) {
+        segments.push(...flattenComponent(component.extra, style));
+    }
+    return segments;
+};
+
+/**
+ * Get the plain text of a chat component
+ * @param {Object|string|Array} component - Chat component JSON
+ * @returns {string} Text without formatting
+ */
+const getPlainText = (component) => {
+    return flattenComponent(component).map(segment => segment.text).join('');
+};
+
+/**
+ * Render a chat component as Discord ANSI text
+ * @param {Object|string|Array} component - Chat component JSON
+ * @returns {string} Text with ANSI escape codes
+ */
+const toAnsi = (component) => {
+    return flattenComponent(component).map(segment => {
+        const codes = [0];
+        if (segment.bold) codes.push(1);
+        if (segment.underlined) codes.push(4);
+        if (ANSI_COLORS[segment.color]) codes.push(ANSI_COLORS[segment.color]);
+        // Backticks would close the code block early
+        return `\u001b[${codes.join(';')}m${segment.text.replace(/`/g, 'ˋ')}`;
+    }).join('') + '\u001b[0m';
+};
+
+/**
+ * Render a chat component as a Discord ANSI code block
+ * @param {Object|string|Array} component - Chat component JSON
+ * @returns {string} ANSI code block
+ */
+const toAnsiCodeBlock = (component) => {
+    return '```ansi\n' + toAnsi(component) + '\n```';
+};
+
+module.exports = {
+    flattenComponent,
+    getPlainText,
+    toAnsi,
+    toAnsiCodeBlock
+};
@@ -26,6 +26,29 @@ const REQUIRED_ENV_VARS = [
     'PLAYER_LIST_CHANNEL'
 ];
 
+/**
+ * Parse a comma-separated list of minutes into milliseconds
+ * @param {string} value - List such as "10,1"
+ * @returns {number[]} Durations in milliseconds
+ */
+function parseMinuteList(value) {
+    return value.split(',')
+        .map(minutes => parseFloat(minutes))
+        .filter(minutes => minutes > 0)
+        .map(minutes => minutes * 60000);
+}
+
+/**
+ * Parse a comma-separated list
+ * @param {string} value - List such as "ABC,DEF"
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+function parseList(value) {
+    return value.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean);
+}
+
 /**
  * Validate and load environment variables
  * @returns {Object} Configuration object
@@ -68,15 +91,38 @@ function loadConfig() {
                 guildChat: process.env.GUILD_CHAT_CHANNEL,
                 guildKills: process.env.GUILD_KILLS_CHANNEL,
                 privateMessenger: process.env.PRIVATE_MESSENGER_CHANNEL,
-                playerList: process.env.PLAYER_LIST_CHANNEL
+                playerList: process.env.PLAYER_LIST_CHANNEL,
+                adminAlerts: process.env.ADMIN_ALERTS_CHANNEL, // optional
+                auctions: process.env.AUCTIONS_CHANNEL, // optional, defaults to the events channel
+                bounties: process.env.BOUNTY_CHANNEL, // optional, defaults to the events channel
+                streaks: process.env.STREAKS_CHANNEL, // optional, defaults to the lobby channel
+                census: process.env.CENSUS_CHANNEL // optional, defaults to the player list channel
             },
             roles: {
                 events: process.env.EVENTS_ROLE_ID,
                 boosters: process.env.BOOSTERS_ROLE_ID,
                 verified: process.env.VERIFIED_ROLE_ID,
-                catchpa: process.env.CATCHPA_ROLE_ID
+                catchpa: process.env.CATCHPA_ROLE_ID,
+                rivalAlerts: process.env.RIVAL_ALERT_ROLE_ID, // optional
+                boosterAvailable: process.env.BOOSTER_AVAILABLE_ROLE_ID // optional, defaults to the boosters role
             }
         },
+        guild: {
+            tag: process.env.GUILD_TAG, // optional, our guild's tag in chat
+            rivals: parseList(process.env.RIVAL_GUILDS || '') // tags of rival guilds
+        },
+        census: {
+            enabled: process.env.CENSUS_ENABLED === 'true',
+            dwellTime: (parseFloat(process.env.CENSUS_DWELL_SECONDS) || 60) * 1000, // time spent in each lobby
+            lobbies: parseList(process.env.CENSUS_LOBBIES || ''), // empty: let /play pit pick lobbies
+            lobbyCommand: process.env.CENSUS_LOBBY_COMMAND || '/play pit {lobby}'
+        },
+        lobbyDigest: {
+            window: (parseFloat(process.env.LOBBY_DIGEST_SECONDS) || 30) * 1000 // joins, leaves and chat batched per lobby channel message
+        },
+        lobbyStats: {
+            retention: (parseFloat(process.env.LOBBY_STATS_RETENTION_DAYS) || 30) * 24 * 3600000 // population samples kept
+        },
         timings: {
             initialPlayDelay: 5000,          // 5 seconds
             playCommandInterval: 30000,       // 30 seconds
@@ -84,10 +130,14 @@ function loadConfig() {
             verificationCodeTTL: 300000,     // 5 minutes
             reconnectDelay: 10000,           // 10 seconds
             commandCooldown: 5000,           // 5 seconds
+            guildChatChunkDelay: 1500,       // 1.5 seconds between parts of a long guild chat message
             afkPreventionInterval: 600000,   // 10 minutes - new
             maxReconnectAttempts: 10,         // increased from 5 - new
             reconnectBackoffBase: 2000      // base delay for exponential backoff - new
         },
+        events: {
+            reminderLeadTimes: parseMinuteList(process.env.EVENT_REMINDER_MINUTES || '10,1') // before event start
+        },
         logging: {
             level: 'debug',
             file: 'logs/bot.log',
@@ -0,0 +1,69 @@
+/**
+ * Helpers for services that persist their state as JSON files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Directory for runtime data files
+const DATA_DIR = path.join(__dirname, '../data');
+
+let writesEnabled = true;
+
+/**
+ * Get the path of a file in the data directory
+ * @param {string} fileName - File name
+ * @returns {string} Absolute file path
+ */
+const dataPath = (fileName) => path.join(DATA_DIR, fileName);
+
+/**
+ * Read a JSON file
+ * @param {string} filePath - File to read
+ * @param {*} fallback - Value returned when the file is missing or invalid
+ * @returns {*} Parsed file contents or the fallback
+ */
+const loadJson = (filePath, fallback) => {
+    try {
+        if (fs.existsSync(filePath)) {
+            const data = fs.readFileSync(filePath, 'utf8');
+            if (data.trim()) {
+                return JSON.parse(data);
+            }
+        }
+    } catch (error) {
+        logger.error(`Error loading ${path.basename(filePath)}:`, error);
+    }
+    return fallback;
+};
+
+/**
+ * Write a value to a JSON file, creating its directory if needed
+ * @param {string} filePath - File to write
+ * @param {*} data - Value to serialize
+ */
+const saveJson = (filePath, data) => {
+    if (!writesEnabled) return;
+
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    } catch (error) {
+        logger.error(`Error saving ${path.basename(filePath)}:`, error);
+    }
+};
+
+/**
+ * Turn saveJson into a no-op, e.g. while replaying transcripts
+ */
+const disableWrites = () => {
+    writesEnabled = false;
+};
+
+module.exports = {
+    dataPath,
+    loadJson,
+    saveJson,
+    disableWrites
+};
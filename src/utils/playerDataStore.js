@@ -2,6 +2,9 @@ const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
 
+const MAX_RECENT_STREAKS = 10;     // Streaks kept per player
+const STREAK_TIMEOUT = 900000;     // Broadcasts more than 15 minutes apart are separate streaks
+
 class PlayerDataStore {
     constructor() {
         this.filePath = path.join(__dirname, '../data/playerData.json');
@@ -86,6 +89,95 @@ class PlayerDataStore {
         );
     }
 
+    /**
+     * Get a player's stored data
+     * @param {string} name - Player name, with or without the ♚ symbol
+     * @returns {Object|undefined} Player data
+     */
+    getPlayer(name) {
+        const normalizedName = name.replace(/♚/g, '').trim();
+        return this.players.find(p => p.name.replace(/♚/g, '').trim() === normalizedName);
+    }
+
+    /**
+     * Format a player name with their stored prestige and guild
+     * @param {string} name - Player name
+     * @returns {string} Player display (e.g. "[XL-120] [GUILD] Player")
+     */
+    formatPlayer(name) {
+        const player = this.getPlayer(name);
+        let display = '';
+        if (player && player.prestige) display += `[${player.prestige}-${player.level}] `;
+        if (player && player.guild) display += `[${player.guild}] `;
+        return display + name;
+    }
+
+    /**
+     * Record a streak broadcast on a player's record, merging it into their ongoing streak
+     * @param {string} name - Player name
+     * @param {Object} streak - Streak details
+     * @param {string} [streak.megastreak] - Activated megastreak
+     * @param {number} [streak.kills] - Kill count reached
+     * @returns {Object} The player's current streak entry
+     */
+    recordStreak(name, { megastreak, kills }) {
+        const now = Date.now();
+        const player = this.getPlayer(name);
+        const recentStreaks = (player && player.recentStreaks) || [];
+        let streak = recentStreaks[recentStreaks.length - 1];
+
+        // A new megastreak or a lower kill count means the previous streak ended
+        const ongoing = streak && now - streak.updatedAt < STREAK_TIMEOUT &&
+            !(megastreak && streak.megastreak) && !(kills && streak.kills && kills < streak.kills);
+
+        if (!ongoing) {
+            streak = { megastreak: null, kills: null, startedAt: now, updatedAt: now };
+            recentStreaks.push(streak);
+        }
+        if (megastreak) streak.megastreak = megastreak;
+        if (kills) streak.kills = kills;
+        streak.updatedAt = now;
+
+        this.updatePlayer({
+            name: player ? player.name : name,
+            recentStreaks: recentStreaks.slice(-MAX_RECENT_STREAKS)
+        });
+        return streak;
+    }
+
+    /**
+     * Record a prestige unlock and update the player's stored prestige
+     * @param {string} name - Player name
+     * @param {string} prestige - Unlocked prestige as shown in chat (e.g. "XL")
+     */
+    recordPrestige(name, prestige) {
+        const player = this.getPlayer(name);
+        const prestigeHistory = (player && player.prestigeHistory) || [];
+        prestigeHistory.push({ prestige, time: Date.now() });
+
+        this.updatePlayer({
+            name: player ? player.name : name,
+            prestige,
+            level: 1, // Prestiging resets the level
+            prestigeHistory
+        });
+    }
+
+    /**
+     * Count prestige unlocks per player since a point in time
+     * @param {number} since - Start time in milliseconds
+     * @returns {Object[]} { name, count } sorted by count, most first
+     */
+    getPrestigeCounts(since) {
+        return this.players
+            .map(player => ({
+                name: player.name,
+                count: (player.prestigeHistory || []).filter(entry => entry.time >= since).length
+            }))
+            .filter(entry => entry.count > 0)
+            .sort((a, b) => b.count - a.count);
+    }
+
     getAllPlayers() {
         return this.players;
     }
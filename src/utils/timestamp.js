@@ -62,6 +62,24 @@ const getTimeAndCountdown = (date, includeEmoji = true) => {
     return `${emoji}${getShortTime(date)} (${getRelativeTime(date)})`;
 };
 
+/**
+ * Format a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration such as "2h 15m", "4m 30s" or "12s"
+ */
+const formatDuration = (ms) => {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return seconds > 0 ? `${minutes}m ${seconds}s` : `${minutes}m`;
+    return `${seconds}s`;
+};
+
 function sendToDiscord(channelId, messageData) {
     const channel = discordClient.channels.cache.get(channelId);
     if (!channel) {
@@ -97,5 +115,6 @@ module.exports = {
     getFullDateTime,
     getShortTime,
     getTimeAndCountdown,
+    formatDuration,
     sendToDiscord
 }; 
\ No newline at end of file